@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+
+/**
+ * Re-encrypt stored API keys into the key vault format under the current
+ * master key: the highest ENCRYPTION_KEYS version, or ENCRYPTION_KEY when
+ * ENCRYPTION_KEYS is not set. Handles the legacy formats (including keys the
+ * activation route encrypted twice) and is safe to run more than once.
+ *
+ * To rotate: add the new key with a higher version to ENCRYPTION_KEYS, keep
+ * the old ones, restart, run this script, then remove the old keys.
+ *
+ * Runs against the PostgreSQL database in DATABASE_URL. The in-memory demo
+ * store starts empty in every process, so there is nothing to rotate there.
+ *
+ * Usage: npm run rotate:keys [-- --dry-run]
+ */
+
+const { keyVault } = require('../src/utils/keyVault');
+const { reencryptStoredKeys } = require('../src/services/apiKeys');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  if (!process.env.DATABASE_URL) {
+    console.error('DATABASE_URL is not set. Point it at the database holding the stored API keys.');
+    process.exitCode = 1;
+    return;
+  }
+
+  const databaseService = require('../src/services/database-direct');
+  await databaseService.initialize();
+
+  try {
+    console.log(`Current master key: ${keyVault.currentKeyId}${dryRun ? ' (dry run, nothing is written)' : ''}`);
+    const { checked, reencrypted, failed } = await reencryptStoredKeys(databaseService, keyVault, { dryRun });
+    console.log(`Processed ${checked} rows with stored API keys: ${dryRun ? 'would re-encrypt' : 're-encrypted'} ${reencrypted}, failed ${failed}`);
+    if (checked === 0) {
+      console.warn('No stored API keys found. Check that DATABASE_URL points at the right database.');
+    }
+    if (failed > 0) {
+      console.error('Some keys could not be decrypted. Check ENCRYPTION_KEY / ENCRYPTION_KEYS and the log above.');
+      process.exitCode = 1;
+    }
+  } finally {
+    await databaseService.disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('API key re-encryption failed:', error);
+  process.exitCode = 1;
+});
@@ -1,12 +1,60 @@
 require('dotenv').config();
+const os = require('os');
+
+// Development fallback for ENCRYPTION_KEY. It is public, so production refuses it.
+const DEFAULT_ENCRYPTION_KEY = 'codebot32charencryptkey123456789';
+
+/**
+ * Parse ENCRYPTION_KEYS ("2:newer-secret,1:older-secret") into master keys,
+ * newest version first
+ * @param {string} value - Raw environment value
+ * @returns {Array} - [{ version, secret }]
+ */
+const parseEncryptionKeys = (value) => {
+  if (!value) {
+    return [];
+  }
+
+  const keys = value.split(',').map(entry => entry.trim()).filter(Boolean).map((entry) => {
+    const separator = entry.indexOf(':');
+    const version = Number(entry.slice(0, separator));
+    const secret = entry.slice(separator + 1);
+    if (separator < 1 || !Number.isInteger(version) || version <= 0 || !secret) {
+      throw new Error('ENCRYPTION_KEYS must be a comma-separated list of <version>:<secret> entries with positive integer versions');
+    }
+    return { version, secret };
+  });
+
+  const versions = new Set(keys.map(key => key.version));
+  if (versions.size !== keys.length) {
+    throw new Error('ENCRYPTION_KEYS contains the same version more than once');
+  }
+
+  return keys.sort((a, b) => b.version - a.version);
+};
 
 const config = {
   PORT: process.env.PORT || 3000,
   NODE_ENV: process.env.NODE_ENV || 'development',
   TELEGRAM_BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN,
   GEMINI_API_KEY: process.env.GEMINI_API_KEY,
+  GEMINI_MODEL: process.env.GEMINI_MODEL || 'gemini-2.5-flash-lite',
   E2B_API_KEY: process.env.E2B_API_KEY,
-  LOG_LEVEL: process.env.LOG_LEVEL || 'info'
+  ENCRYPTION_KEY: process.env.ENCRYPTION_KEY || DEFAULT_ENCRYPTION_KEY,
+  ENCRYPTION_KEYS: parseEncryptionKeys(process.env.ENCRYPTION_KEYS),
+  LOG_LEVEL: process.env.LOG_LEVEL || 'info',
+  SANDBOX_IDLE_TIMEOUT_MINUTES: parseInt(process.env.SANDBOX_IDLE_TIMEOUT_MINUTES, 10) || 15,
+  SANDBOX_MAX_LIFETIME_MINUTES: parseInt(process.env.SANDBOX_MAX_LIFETIME_MINUTES, 10) || 60,
+  SANDBOX_INSTANCE_ID: process.env.SANDBOX_INSTANCE_ID || os.hostname(),
+  SESSION_TTL_HOURS: parseInt(process.env.SESSION_TTL_HOURS, 10) || 24,
+  TELEGRAM_AUTH_MAX_AGE_SECONDS: parseInt(process.env.TELEGRAM_AUTH_MAX_AGE_SECONDS, 10) || 3600,
+  TRANSCRIPTION_PROVIDER: process.env.TRANSCRIPTION_PROVIDER || 'gemini',
+  HISTORY_MESSAGE_LIMIT: parseInt(process.env.HISTORY_MESSAGE_LIMIT, 10) || 50,
+  HISTORY_TOKEN_BUDGET: parseInt(process.env.HISTORY_TOKEN_BUDGET, 10) || 8000,
+  LLM_PROVIDER: process.env.LLM_PROVIDER || 'gemini',
+  OPENAI_BASE_URL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  OPENAI_API_KEY: process.env.OPENAI_API_KEY,
+  OPENAI_MODEL: process.env.OPENAI_MODEL || 'gpt-4o-mini'
 };
 
 // Validate required environment variables
@@ -22,4 +70,10 @@ if (isNaN(config.PORT) || config.PORT <= 0 || config.PORT > 65535) {
   throw new Error('PORT must be a valid port number (1-65535)');
 }
 
+// Stored API keys would be readable by anyone with the source under the default key
+const currentEncryptionSecret = config.ENCRYPTION_KEYS.length > 0 ? config.ENCRYPTION_KEYS[0].secret : config.ENCRYPTION_KEY;
+if (config.NODE_ENV === 'production' && currentEncryptionSecret === DEFAULT_ENCRYPTION_KEY) {
+  throw new Error('Refusing to start in production with the default encryption key. Set ENCRYPTION_KEY or ENCRYPTION_KEYS');
+}
+
 module.exports = config;
\ No newline at end of file
@@ -6,6 +6,7 @@ const errorHandler = require('./utils/errorHandler');
 const databaseService = require('./services/database');
 const cleanupJobs = require('./jobs/cleanup-demo');
 const cacheService = require('./utils/cache');
+const sandboxSessions = require('./services/sandboxSessions');
 
 // Validation functions
 const validateTelegramBotToken = (token) => {
@@ -119,7 +120,8 @@ app.get('/health', (req, res) => {
     service: 'CodeBot Backend',
     database: 'connected',
     cache: cacheService.cache.healthCheck(),
-    cleanup_jobs: cleanupJobs.getStatus()
+    cleanup_jobs: cleanupJobs.getStatus(),
+    sandboxes: sandboxSessions.getStats()
   };
   
   res.json(health);
@@ -193,6 +195,14 @@ const startServer = async () => {
         logger.error('❌ Error stopping cleanup jobs:', error);
       }
       
+      // Tear down sandbox sessions
+      try {
+        await sandboxSessions.destroyAll();
+        logger.info('✅ Sandbox sessions destroyed');
+      } catch (error) {
+        logger.error('❌ Error destroying sandbox sessions:', error);
+      }
+      
       // Disconnect database
       try {
         await databaseService.disconnect();
@@ -218,6 +228,14 @@ const startServer = async () => {
         logger.error('❌ Error stopping cleanup jobs:', error);
       }
       
+      // Tear down sandbox sessions
+      try {
+        await sandboxSessions.destroyAll();
+        logger.info('✅ Sandbox sessions destroyed');
+      } catch (error) {
+        logger.error('❌ Error destroying sandbox sessions:', error);
+      }
+      
       // Disconnect database
       try {
         await databaseService.disconnect();
@@ -1,10 +1,17 @@
 const databaseService = require('../services/database');
+const sandboxSessions = require('../services/sandboxSessions');
+const { reencryptStoredKeys } = require('../services/apiKeys');
 const logger = require('../utils/logger');
 
+const SANDBOX_REAP_INTERVAL_MS = 60 * 1000; // 1 minute
+const SESSION_CLEANUP_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+const KEY_ROTATION_INTERVAL_MS = 24 * 60 * 60 * 1000; // 1 day
+
 class CleanupService {
   constructor() {
     this.intervals = [];
     this.isRunning = false;
+    this.isReaping = false;
   }
 
   /**
@@ -19,12 +26,70 @@ class CleanupService {
     console.log('🧹 Starting cleanup jobs (simplified mode)...');
     this.isRunning = true;
 
+    // Sandbox sessions hold paid resources, so reap them for real
+    this.intervals.push(setInterval(() => this.reapSandboxes(), SANDBOX_REAP_INTERVAL_MS));
+
+    // Expired bot sessions would otherwise pile up in memory
+    this.intervals.push(setInterval(() => this.cleanExpiredSessions(), SESSION_CLEANUP_INTERVAL_MS));
+
+    // Keys left under a retired master key become unreadable once it is removed
+    this.intervals.push(setInterval(() => this.rotateEncryptedKeys(), KEY_ROTATION_INTERVAL_MS));
+
     // Simulate cleanup job execution
     console.log('✅ Cleanup jobs initialized (demo mode)');
     console.log('   - Daily cleanup: Ready (demo)');
     console.log('   - Monthly quota reset: Ready (demo)');
     console.log('   - Cache cleanup: Ready (demo)');
     console.log('   - Usage log cleanup: Ready (demo)');
+    console.log('   - Sandbox session reaper: Running (every minute)');
+    console.log('   - Bot session cleanup: Running (hourly)');
+    console.log('   - API key re-encryption: Running (daily)');
+  }
+
+  /**
+   * Destroy expired sandbox sessions and orphaned sandboxes
+   */
+  async reapSandboxes() {
+    // A slow run (many sandboxes, slow E2B API) must not overlap the next tick
+    if (this.isReaping) {
+      logger.warn('Previous sandbox cleanup still running, skipping this run');
+      return;
+    }
+
+    this.isReaping = true;
+    try {
+      await sandboxSessions.reapExpired();
+      await sandboxSessions.reapOrphaned();
+    } catch (error) {
+      logger.error('Sandbox cleanup error:', error);
+    } finally {
+      this.isReaping = false;
+    }
+  }
+
+  /**
+   * Delete expired bot sessions
+   */
+  async cleanExpiredSessions() {
+    try {
+      const deleted = await databaseService.deleteExpiredSessions();
+      if (deleted > 0) {
+        logger.info(`🧹 Cleaned ${deleted} expired bot sessions`);
+      }
+    } catch (error) {
+      logger.error('Session cleanup error:', error);
+    }
+  }
+
+  /**
+   * Re-encrypt stored API keys under the current master key
+   */
+  async rotateEncryptedKeys() {
+    try {
+      await reencryptStoredKeys();
+    } catch (error) {
+      logger.error('API key re-encryption error:', error);
+    }
   }
 
   /**
@@ -71,7 +136,10 @@ class CleanupService {
         'daily_message_cleanup',
         'monthly_quota_reset', 
         'cache_cleanup',
-        'usage_log_cleanup'
+        'usage_log_cleanup',
+        'sandbox_session_reaper',
+        'bot_session_cleanup',
+        'api_key_rotation'
       ]
     };
   }
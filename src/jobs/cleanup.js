@@ -1,6 +1,8 @@
 const cron = require('node-cron');
 const databaseService = require('../services/database');
 const cacheService = require('../utils/cache');
+const sandboxSessions = require('../services/sandboxSessions');
+const { reencryptStoredKeys } = require('../services/apiKeys');
 const logger = require('../utils/logger');
 const errorHandler = require('../utils/errorHandler');
 
@@ -57,6 +59,21 @@ class CleanupJobs {
         await this.cleanInactiveUsers();
       });
 
+      // Job 7: Reap expired and orphaned sandboxes (every minute)
+      this.scheduleJob('sandbox-sessions', '* * * * *', async () => {
+        await this.reapSandboxSessions();
+      });
+
+      // Job 8: Delete expired bot sessions (hourly)
+      this.scheduleJob('bot-sessions', '0 * * * *', async () => {
+        await this.cleanExpiredSessions();
+      });
+
+      // Job 9: Move stored API keys to the current master key (daily at 5 AM)
+      this.scheduleJob('key-rotation', '0 5 * * *', async () => {
+        await this.rotateEncryptedKeys();
+      });
+
       this.isRunning = true;
       logger.info('✅ Cleanup jobs initialized successfully');
 
@@ -277,6 +294,62 @@ class CleanupJobs {
     }
   }
 
+  /**
+   * Destroy sandbox sessions past their idle timeout or lifetime,
+   * plus sandboxes no session tracks anymore
+   */
+  async reapSandboxSessions() {
+    try {
+      const expired = await sandboxSessions.reapExpired();
+      const orphaned = await sandboxSessions.reapOrphaned();
+
+      if (expired + orphaned > 0) {
+        logger.info(`🧹 Reaped ${expired} expired and ${orphaned} orphaned sandboxes`);
+      }
+
+    } catch (error) {
+      logger.error('❌ Error reaping sandbox sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete bot sessions past their expiry
+   */
+  async cleanExpiredSessions() {
+    try {
+      const result = await databaseService.prisma.session.deleteMany({
+        where: {
+          expires_at: {
+            lt: new Date()
+          }
+        }
+      });
+
+      logger.info(`🧹 Cleaned ${result.count} expired bot sessions`);
+
+    } catch (error) {
+      logger.error('❌ Error cleaning expired bot sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Re-encrypt stored API keys still under an older master key or a legacy format
+   */
+  async rotateEncryptedKeys() {
+    try {
+      const { failed } = await reencryptStoredKeys();
+      if (failed > 0) {
+        logger.warn(`⚠️ ${failed} users have API keys that no configured master key can decrypt`);
+      }
+
+    } catch (error) {
+      logger.error('❌ Error re-encrypting API keys:', error);
+      throw error;
+    }
+  }
+
   /**
    * Manually run a specific cleanup job
    * @param {String} jobName 
@@ -1,6 +1,10 @@
 const databaseService = require('../services/database');
 const logger = require('../utils/logger');
 const errorHandler = require('../utils/errorHandler');
+const cache = require('../utils/cache');
+
+// Length of the sliding window for requestsPerMinute
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
 
 /**
  * Authentication middleware for Telegram bot
@@ -8,9 +12,10 @@ const errorHandler = require('../utils/errorHandler');
  * 1. Extracts telegram_chat_id from message
  * 2. Checks if user exists in database
  * 3. If not exists: sends registration message and blocks request
- * 4. If exists: checks active status and quota
- * 5. If quota exceeded: sends upgrade message
- * 6. If OK: allows request and attaches user object
+ * 4. If exists: checks active status, per-minute rate limit and quota
+ * 5. If rate limited: asks the user to slow down and when to retry
+ * 6. If quota exceeded: sends upgrade message
+ * 7. If OK: allows request and attaches user object
  */
 
 class AuthenticationMiddleware {
@@ -44,7 +49,19 @@ class AuthenticationMiddleware {
         return null;
       }
 
-      // Step 3: Check message quota
+      // Step 3: Check the per-minute rate limit (before the quota, so refused messages aren't counted)
+      const rateLimit = await this.checkRateLimit(user);
+
+      if (!rateLimit.allowed) {
+        const retryAfterSeconds = Math.max(1, Math.ceil(rateLimit.retryAfterMs / 1000));
+        logger.warn(`⚠️ User ${chatId} is rate limited (retry in ${retryAfterSeconds}s)`);
+        await ctx.reply(
+          `🐢 Slow down a little! Your plan allows ${this.getTierConfig(user).requestsPerMinute} messages per minute. Please retry in ${retryAfterSeconds} seconds.`
+        );
+        return null;
+      }
+
+      // Step 4: Check message quota
       const quota = await databaseService.checkUserQuota(user.id);
       
       if (!quota.hasQuota) {
@@ -53,7 +70,7 @@ class AuthenticationMiddleware {
         return null;
       }
 
-      // Step 4: Update last activity and return user
+      // Step 5: Update last activity and return user
       await databaseService.updateUser(user.id, {
         updated_at: new Date()
       });
@@ -77,6 +94,38 @@ class AuthenticationMiddleware {
     }
   }
 
+  /**
+   * Authentication for inline keyboard button taps: the account must exist and
+   * be active, but taps don't count against the rate limit or message quota
+   * @param {Object} ctx - Telegraf context of a callback query
+   * @returns {Promise<Object>} - User object if allowed, null if refused (the callback is answered)
+   */
+  async authenticateAction(ctx) {
+    const chatId = ctx.chat.id;
+
+    try {
+      const user = await databaseService.findUserByTelegramId(chatId);
+
+      if (!user) {
+        await ctx.answerCbQuery('Please send /start first.');
+        return null;
+      }
+
+      if (user.is_active === false) {
+        logger.warn(`⚠️ Inactive user ${chatId} pressed a button`);
+        await ctx.answerCbQuery('❌ Your account has been deactivated. Please contact support for assistance.', { show_alert: true });
+        return null;
+      }
+
+      return user;
+
+    } catch (error) {
+      logger.error('❌ Authentication error:', error);
+      await ctx.answerCbQuery('❌ Authentication error. Please try again or contact support.');
+      return null;
+    }
+  }
+
   /**
    * Handle new user registration
    * @param {Object} ctx - Telegraf context  
@@ -204,31 +253,16 @@ Or wait until next month for a fresh start!`;
   }
 
   /**
-   * Rate limiting check (basic implementation)
-   * @param {BigInt} chatId - User chat ID
-   * @returns {Promise<boolean>} - True if within rate limits
+   * Count a request against the user's per-minute limit for their tier
+   * @param {Object} user - User object
+   * @returns {Promise<Object>} - { allowed, remaining, retryAfterMs }
    */
-  async checkRateLimit(chatId) {
+  async checkRateLimit(user) {
     try {
-      // Basic rate limiting: max 10 requests per minute
-      // This is a simple implementation - in production, use Redis
-      const logs = await databaseService.prisma.usageLog.findMany({
-        where: {
-          user: {
-            telegram_chat_id: chatId
-          },
-          created_at: {
-            gte: new Date(Date.now() - 60000) // Last minute
-          },
-          operation_type: 'message'
-        },
-        take: 10
-      });
-
-      return logs.length < 10;
+      return await cache.checkRateLimit(user.id, this.getTierConfig(user).requestsPerMinute, RATE_LIMIT_WINDOW_MS);
     } catch (error) {
       logger.error('❌ Rate limit check error:', error);
-      return true; // Allow on error
+      return { allowed: true, remaining: 0, retryAfterMs: 0 }; // Allow on error
     }
   }
 
@@ -241,15 +275,33 @@ Or wait until next month for a fresh start!`;
     const configs = {
       FREE: {
         messages: 100,
-        features: ['basic_coding', 'file_operations', 'terminal_commands']
+        requestsPerMinute: 10,
+        maxUploadBytes: 2 * 1024 * 1024, // 2 MB
+        maxAgentIterations: 3,
+        agentTimeBudgetMs: 60 * 1000, // 1 minute
+        llmProvider: null, // null uses LLM_PROVIDER
+        models: ['gemini-2.5-flash-lite'],
+        features: ['basic_coding', 'file_operations', 'terminal_commands', 'file_uploads']
       },
       BASIC: {
         messages: 500,
-        features: ['basic_coding', 'file_operations', 'terminal_commands', 'browser_automation']
+        requestsPerMinute: 20,
+        maxUploadBytes: 5 * 1024 * 1024, // 5 MB
+        maxAgentIterations: 6,
+        agentTimeBudgetMs: 2 * 60 * 1000, // 2 minutes
+        llmProvider: null, // null uses LLM_PROVIDER
+        models: ['gemini-2.5-flash-lite', 'gemini-2.5-flash'],
+        features: ['basic_coding', 'file_operations', 'terminal_commands', 'file_uploads', 'browser_automation', 'image_input']
       },
       PRO: {
         messages: 2000,
-        features: ['basic_coding', 'file_operations', 'terminal_commands', 'browser_automation', 'priority_support']
+        requestsPerMinute: 40,
+        maxUploadBytes: 10 * 1024 * 1024, // 10 MB
+        maxAgentIterations: 10,
+        agentTimeBudgetMs: 5 * 60 * 1000, // 5 minutes
+        llmProvider: null, // null uses LLM_PROVIDER
+        models: ['gemini-2.5-flash-lite', 'gemini-2.5-flash', 'gemini-2.5-pro'],
+        features: ['basic_coding', 'file_operations', 'terminal_commands', 'file_uploads', 'browser_automation', 'image_input', 'priority_support']
       }
     };
 
@@ -0,0 +1,112 @@
+const { session } = require('telegraf');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const databaseService = require('../services/database');
+
+/**
+ * Session store backed by a Prisma client (sessions table)
+ * @param {Object} prisma - Prisma client
+ * @param {number} ttlMs - Session lifetime after the last update
+ * @returns {Object} - Telegraf session store { get, set, delete }
+ */
+const createPrismaSessionStore = (prisma, ttlMs) => ({
+  async get(key) {
+    const record = await prisma.session.findUnique({ where: { key } });
+    return record && record.expires_at > new Date() ? record.data : undefined;
+  },
+
+  async set(key, data) {
+    const expires_at = new Date(Date.now() + ttlMs);
+    await prisma.session.upsert({
+      where: { key },
+      create: { key, data, expires_at },
+      update: { data, expires_at }
+    });
+  },
+
+  async delete(key) {
+    await prisma.session.deleteMany({ where: { key } });
+  }
+});
+
+/**
+ * Session store backed by a database service implementing
+ * getSession / setSession / deleteSession (database.js, database-direct.js)
+ * @param {Object} db - Database service
+ * @param {number} ttlMs - Session lifetime after the last update
+ * @returns {Object} - Telegraf session store { get, set, delete }
+ */
+const createServiceSessionStore = (db, ttlMs) => ({
+  async get(key) {
+    return (await db.getSession(key)) || undefined;
+  },
+
+  async set(key, data) {
+    await db.setSession(key, data, new Date(Date.now() + ttlMs));
+  },
+
+  async delete(key) {
+    await db.deleteSession(key);
+  }
+});
+
+/**
+ * Pick the session store for a database service: its Prisma client when it
+ * has one, otherwise its own session methods
+ * @param {Object} db - Database service (defaults to the shared one)
+ * @param {number} ttlMs - Session lifetime after the last update
+ * @returns {Object} - Telegraf session store
+ */
+const createSessionStore = (db = databaseService, ttlMs = config.SESSION_TTL_HOURS * 60 * 60 * 1000) => {
+  return db.prisma ? createPrismaSessionStore(db.prisma, ttlMs) : createServiceSessionStore(db, ttlMs);
+};
+
+/**
+ * Sessions are per chat, so state set in a group is shared by its members
+ * @param {Object} ctx - Telegraf context
+ * @returns {string|undefined} - Session key
+ */
+const getSessionKey = (ctx) => (ctx.chat ? `telegram_${ctx.chat.id}` : undefined);
+
+/**
+ * Telegraf middleware providing a persistent ctx.session.
+ * A failing store is logged and the update is still handled, without a session.
+ * @param {Object} store - Session store (optional, defaults to createSessionStore())
+ * @returns {Function} - Telegraf middleware
+ */
+const sessionMiddleware = (store = createSessionStore()) => {
+  const safeStore = {
+    async get(key) {
+      try {
+        return await store.get(key);
+      } catch (error) {
+        logger.error(`Failed to load session ${key}:`, error);
+        return undefined;
+      }
+    },
+    async set(key, data) {
+      try {
+        await store.set(key, data);
+      } catch (error) {
+        logger.error(`Failed to save session ${key}:`, error);
+      }
+    },
+    async delete(key) {
+      try {
+        await store.delete(key);
+      } catch (error) {
+        logger.error(`Failed to delete session ${key}:`, error);
+      }
+    }
+  };
+
+  return session({ store: safeStore, getSessionKey });
+};
+
+module.exports = {
+  sessionMiddleware,
+  createSessionStore,
+  createPrismaSessionStore,
+  createServiceSessionStore,
+  getSessionKey
+};
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const databaseService = require('../services/database');
+
+// Tolerated clock difference for auth_date values slightly in the future
+const MAX_CLOCK_SKEW_SECONDS = 60;
+
+/**
+ * Build the data-check-string: all fields except hash, sorted, as key=value lines
+ * @param {Object} fields - Received fields
+ * @returns {string}
+ */
+const buildDataCheckString = (fields) => Object.keys(fields)
+  .filter(key => key !== 'hash')
+  .sort()
+  .map(key => `${key}=${fields[key]}`)
+  .join('\n');
+
+/**
+ * Compare a received hex hash with the expected one in constant time
+ */
+const hashMatches = (expected, received) => {
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const receivedBuffer = Buffer.from(String(received || ''), 'hex');
+  return receivedBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+/**
+ * Check that auth_date is within the freshness window
+ * @param {string|number} authDate - Unix time in seconds
+ * @param {number} maxAgeSeconds - Accepted age
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean}
+ */
+const isFresh = (authDate, maxAgeSeconds, now) => {
+  const age = Math.floor(now / 1000) - Number(authDate);
+  return Number.isFinite(age) && age <= maxAgeSeconds && age >= -MAX_CLOCK_SKEW_SECONDS;
+};
+
+/**
+ * Verify Telegram WebApp initData (signed with HMAC-SHA256 keyed by
+ * HMAC-SHA256("WebAppData", bot token))
+ * @param {string} initData - Raw query string from Telegram.WebApp.initData
+ * @param {string} botToken - Bot token
+ * @param {Object} options - { maxAgeSeconds, now }
+ * @returns {Object|null} - Telegram user ({ id, username, first_name, ... }) or null if invalid
+ */
+const verifyWebAppInitData = (initData, botToken, { maxAgeSeconds, now = Date.now() }) => {
+  const fields = Object.fromEntries(new URLSearchParams(initData));
+  const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+  const expected = crypto.createHmac('sha256', secretKey).update(buildDataCheckString(fields)).digest('hex');
+
+  if (!hashMatches(expected, fields.hash) || !isFresh(fields.auth_date, maxAgeSeconds, now)) {
+    return null;
+  }
+
+  try {
+    const user = JSON.parse(fields.user);
+    return user && Number.isInteger(user.id) ? user : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Verify Telegram Login Widget data (signed with HMAC-SHA256 keyed by SHA-256 of the bot token)
+ * @param {Object} data - Fields received from the widget (id, first_name, ..., auth_date, hash)
+ * @param {string} botToken - Bot token
+ * @param {Object} options - { maxAgeSeconds, now }
+ * @returns {Object|null} - Telegram user or null if invalid
+ */
+const verifyLoginWidgetData = (data, botToken, { maxAgeSeconds, now = Date.now() }) => {
+  const secretKey = crypto.createHash('sha256').update(botToken).digest();
+  const expected = crypto.createHmac('sha256', secretKey).update(buildDataCheckString(data)).digest('hex');
+
+  if (!hashMatches(expected, data.hash) || !isFresh(data.auth_date, maxAgeSeconds, now)) {
+    return null;
+  }
+
+  const id = Number(data.id);
+  if (!Number.isSafeInteger(id)) {
+    return null;
+  }
+  const { hash, auth_date, ...user } = data;
+  return { ...user, id };
+};
+
+/**
+ * Find the Telegram auth data sent with a request
+ * - WebApp: "Authorization: tma <initData>" header, or an init_data body field
+ * - Login Widget: a telegram_login body object, or the widget's redirect query (id, auth_date, hash, ...)
+ * @param {Object} req - Express request
+ * @returns {Object|null} - { type: 'webapp', initData } or { type: 'login', data }
+ */
+const extractTelegramAuth = (req) => {
+  const authorization = req.get('authorization') || '';
+  if (authorization.startsWith('tma ')) {
+    return { type: 'webapp', initData: authorization.slice(4) };
+  }
+  if (req.body && typeof req.body.init_data === 'string') {
+    return { type: 'webapp', initData: req.body.init_data };
+  }
+  if (req.body && req.body.telegram_login && typeof req.body.telegram_login === 'object') {
+    return { type: 'login', data: req.body.telegram_login };
+  }
+  if (req.query && req.query.hash && req.query.id && req.query.auth_date) {
+    return { type: 'login', data: req.query };
+  }
+  return null;
+};
+
+/**
+ * Express middleware that authenticates web requests with Telegram WebApp
+ * initData or Login Widget data, checked against the bot token.
+ * On success it sets req.telegramUser and req.user (the stored user, or null
+ * if the Telegram user has not started the bot).
+ * @param {Object} options
+ * @param {boolean} options.required - Refuse requests without Telegram auth data (default true).
+ *   Auth data that is present but invalid is always refused.
+ * @param {number} options.maxAgeSeconds - Freshness window for auth_date
+ * @param {string} options.botToken - Bot token the data is signed with
+ * @returns {Function} - Express middleware
+ */
+const telegramAuth = ({
+  required = true,
+  maxAgeSeconds = config.TELEGRAM_AUTH_MAX_AGE_SECONDS,
+  botToken = config.TELEGRAM_BOT_TOKEN
+} = {}) => async (req, res, next) => {
+  try {
+    const auth = extractTelegramAuth(req);
+    if (!auth) {
+      if (required) {
+        return res.status(401).json({ error: 'Telegram authentication is required' });
+      }
+      return next();
+    }
+
+    const telegramUser = auth.type === 'webapp'
+      ? verifyWebAppInitData(auth.initData, botToken, { maxAgeSeconds })
+      : verifyLoginWidgetData(auth.data, botToken, { maxAgeSeconds });
+
+    if (!telegramUser) {
+      logger.warn(`Rejected Telegram ${auth.type} auth data from ${req.ip} for ${req.method} ${req.originalUrl}`);
+      return res.status(401).json({ error: 'Telegram authentication failed or has expired. Please reopen the page from Telegram.' });
+    }
+
+    const db = req.app.locals.databaseService || databaseService;
+    req.telegramUser = telegramUser;
+    req.user = await db.findUserByTelegramId(telegramUser.id);
+    next();
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  telegramAuth,
+  verifyWebAppInitData,
+  verifyLoginWidgetData,
+  extractTelegramAuth
+};
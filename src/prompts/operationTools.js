@@ -0,0 +1,104 @@
+/**
+ * Sandbox operations exposed to Gemini as function declarations.
+ * Function names match the operation types handled by executeOperations,
+ * and the parameters match the operation fields.
+ */
+const operationTools = [
+  {
+    name: 'terminal_command',
+    description: 'Run a shell command in the sandbox (working directory /home/user). Use it to install packages, run scripts, list files and check outputs.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        command: {
+          type: 'STRING',
+          description: 'The shell command to execute'
+        },
+        timeout: {
+          type: 'INTEGER',
+          description: 'Maximum run time in seconds (default 30)'
+        },
+        description: {
+          type: 'STRING',
+          description: 'Short explanation of why the command is run'
+        }
+      },
+      required: ['command']
+    }
+  },
+  {
+    name: 'write_file',
+    description: 'Create or overwrite a file in the sandbox. Parent directories are created automatically.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        path: {
+          type: 'STRING',
+          description: 'File path, absolute or relative to /home/user'
+        },
+        content: {
+          type: 'STRING',
+          description: 'File content'
+        },
+        encoding: {
+          type: 'STRING',
+          enum: ['utf8', 'base64'],
+          description: 'Set to "base64" when content is base64-encoded binary data'
+        },
+        description: {
+          type: 'STRING',
+          description: 'Short explanation of the file'
+        }
+      },
+      required: ['path', 'content']
+    }
+  },
+  {
+    name: 'read_file',
+    description: 'Read a file from the sandbox. Binary files are returned base64-encoded.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        path: {
+          type: 'STRING',
+          description: 'File path, absolute or relative to /home/user'
+        },
+        encoding: {
+          type: 'STRING',
+          enum: ['utf8', 'base64'],
+          description: 'Set to "base64" to receive the content base64-encoded'
+        }
+      },
+      required: ['path']
+    }
+  },
+  {
+    name: 'browser_action',
+    description: 'Perform a browser automation step in the sandbox.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        action: {
+          type: 'STRING',
+          enum: ['navigate', 'click', 'type', 'screenshot', 'wait'],
+          description: 'Browser action to perform'
+        },
+        url: {
+          type: 'STRING',
+          description: 'Target URL for navigation'
+        },
+        selector: {
+          type: 'STRING',
+          description: 'CSS selector for element interaction'
+        },
+        text: {
+          type: 'STRING',
+          description: 'Text to type or button to click'
+        }
+      },
+      required: ['action']
+    }
+  }
+];
+
+module.exports = operationTools;
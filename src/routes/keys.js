@@ -1,50 +1,59 @@
 const express = require('express');
-const crypto = require('crypto');
+const { isValidGeminiApiKey, isValidE2BApiKey, hasPersonalKeys, activateUserKeys, revokeUserKeys } = require('../services/apiKeys');
+const { KEY_STATUS, verifyApiKeys } = require('../services/keyVerification');
+const { verifyAccessCode, consumeAccessCode } = require('../services/keyAccessCodes');
+const { telegramAuth } = require('../middleware/telegramAuth');
 
 const router = express.Router();
 
-// Encryption utilities
-const ALGORITHM = 'aes-256-cbc';
-const ENCRYPTION_KEY = 'codebot-encryption-key-32chars!' // Must be 32 characters
-const IV_LENGTH = 16; // For AES, this is always 16
-
-function encrypt(text) {
-  const iv = crypto.randomBytes(IV_LENGTH);
-  const cipher = crypto.createCipher(ALGORITHM, ENCRYPTION_KEY);
-  let encrypted = cipher.update(text, 'utf8', 'base64');
-  encrypted += cipher.final('base64');
-  return iv.toString('base64') + ':' + encrypted;
-}
+// Requests signed in through Telegram (WebApp initData or Login Widget) act on
+// that user; the others must name the chat and, to change keys, prove it with
+// an access code
+router.use(telegramAuth({ required: false }));
 
-function decrypt(text) {
-  const textParts = text.split(':');
-  const iv = Buffer.from(textParts.shift(), 'base64');
-  const encryptedText = textParts.join(':');
-  const decipher = crypto.createDecipher(ALGORITHM, ENCRYPTION_KEY);
-  let decrypted = decipher.update(encryptedText, 'base64', 'utf8');
-  decrypted += decipher.final('utf8');
-  return decrypted;
-}
+/**
+ * Require a one-time access code from /setkeys code for the chat in the body.
+ * Routes check the code first without using it (so invalid requests cost
+ * nothing), then consume it right before changing the keys.
+ * Refused requests get a 401 and are logged.
+ * @param {Object} req - Express request with { telegram_chat_id, access_code } in the body
+ * @param {Object} res - Express response
+ * @param {string} operation - Usage log operation for refused attempts
+ * @param {boolean} consume - Use the code up if it is valid
+ * @returns {Promise<boolean>} - Whether the request may continue
+ */
+async function checkAccessCode(req, res, operation, consume = false) {
+  const { telegram_chat_id, access_code } = req.body;
+  const check = consume ? consumeAccessCode : verifyAccessCode;
+  const { valid, reason } = check(access_code, telegram_chat_id);
+  if (valid) {
+    return true;
+  }
 
-// Validation functions
-function isValidGeminiApiKey(key) {
-  // Gemini API keys are typically 39 characters long
-  return key && typeof key === 'string' && key.length === 39 && key.startsWith('AIza');
-}
+  try {
+    const databaseService = req.app.locals.databaseService;
+    const user = await databaseService.findUserByTelegramId(telegram_chat_id);
+    await databaseService.logUsage(user ? user.id : null, operation, null, false, `Access code ${reason} for chat ${telegram_chat_id} from ${req.ip}`);
+  } catch (logError) {
+    console.error('Failed to log refused access code:', logError);
+  }
 
-function isValidE2BApiKey(key) {
-  // E2B API keys start with 'e2b_' followed by 40 hex characters
-  return key && typeof key === 'string' && key.startsWith('e2b_') && key.length === 45;
+  res.status(401).json({
+    error: 'A valid access code is required. Send /setkeys code to the bot to get one; each code works once and expires after 10 minutes.'
+  });
+  return false;
 }
 
 /**
  * POST /api/keys/activate
  * Activate user's personal API keys
- * Body: { telegram_chat_id, gemini_api_key, e2b_api_key }
+ * Body: { telegram_chat_id, access_code, gemini_api_key, e2b_api_key },
+ * or { gemini_api_key, e2b_api_key } with Telegram auth
  */
 router.post('/activate', async (req, res) => {
   try {
-    const { telegram_chat_id, gemini_api_key, e2b_api_key } = req.body;
+    const { gemini_api_key, e2b_api_key } = req.body;
+    const telegram_chat_id = req.telegramUser ? req.telegramUser.id : req.body.telegram_chat_id;
 
     // Validation
     if (!telegram_chat_id) {
@@ -72,6 +81,23 @@ router.post('/activate', async (req, res) => {
       });
     }
 
+    // Keys are only checked for callers who can prove they own the chat
+    if (!req.telegramUser && !(await checkAccessCode(req, res, 'api_key_activation_denied'))) {
+      return;
+    }
+
+    // Check the keys against the live services before storing them
+    const verification = await verifyApiKeys({ gemini: gemini_api_key, e2b: e2b_api_key });
+    const keyResults = { gemini: verification.gemini, e2b: verification.e2b };
+    if (!verification.valid) {
+      // Only network errors means we could not tell, not that the keys are bad
+      const unverified = Object.values(keyResults).every(result => result.status === KEY_STATUS.VALID || result.status === KEY_STATUS.NETWORK_ERROR);
+      return res.status(unverified ? 503 : 400).json({
+        error: unverified ? 'Could not verify API keys. Please try again.' : 'API key verification failed',
+        keys: keyResults
+      });
+    }
+
     // Get database service
     const databaseService = req.app.locals.databaseService;
     if (!databaseService) {
@@ -81,38 +107,29 @@ router.post('/activate', async (req, res) => {
     }
 
     // Find or create user
-    let user = await databaseService.findUserByTelegramId(telegram_chat_id);
+    let user = req.telegramUser ? req.user : await databaseService.findUserByTelegramId(telegram_chat_id);
     
     if (!user) {
       user = await databaseService.createUser({
-        telegram_chat_id,
-        username: `user_${Date.now()}` // Default username for key activation
+        telegramChatId: telegram_chat_id,
+        telegramUsername: req.telegramUser?.username,
+        name: req.telegramUser?.first_name || `user_${Date.now()}` // Default name for key activation
       });
     }
 
-    // Encrypt the keys before storing
-    const encryptedGeminiKey = encrypt(gemini_api_key);
-    const encryptedE2BKey = encrypt(e2b_api_key);
+    // The code is only spent once the keys are known to be good
+    if (!req.telegramUser && !(await checkAccessCode(req, res, 'api_key_activation_denied', true))) {
+      return;
+    }
 
     // Store encrypted keys and upgrade tier to BASIC
-    await databaseService.updateUser(user.id, {
-      gemini_api_key: encryptedGeminiKey,
-      e2b_api_key: encryptedE2BKey,
-      tier: 'BASIC'
-    });
-
-    // Log usage
-    await databaseService.logUsage({
-      user_id: user.id,
-      action: 'API_KEY_ACTIVATED',
-      success: true,
-      message: 'User activated personal API keys and upgraded to BASIC tier'
-    });
+    await activateUserKeys(user, gemini_api_key, e2b_api_key);
 
     res.json({
       success: true,
       message: 'API keys activated successfully! Your account has been upgraded to BASIC tier.',
-      tier: 'BASIC'
+      tier: 'BASIC',
+      keys: keyResults
     });
 
   } catch (error) {
@@ -121,12 +138,7 @@ router.post('/activate', async (req, res) => {
     // Log the error
     try {
       const databaseService = req.app.locals.databaseService;
-      await databaseService.logUsage({
-        user_id: null,
-        action: 'API_KEY_ACTIVATION_FAILED',
-        success: false,
-        message: `Error: ${error.message}`
-      });
+      await databaseService.logUsage(null, 'api_key_activation_failed', null, false, error.message);
     } catch (logError) {
       console.error('Failed to log error:', logError);
     }
@@ -141,11 +153,11 @@ router.post('/activate', async (req, res) => {
 /**
  * GET /api/keys/status
  * Get user's API key status
- * Query: ?telegram_chat_id=123456
+ * Query: ?telegram_chat_id=123456, or Telegram auth
  */
 router.get('/status', async (req, res) => {
   try {
-    const { telegram_chat_id } = req.query;
+    const telegram_chat_id = req.telegramUser ? req.telegramUser.id : req.query.telegram_chat_id;
 
     if (!telegram_chat_id) {
       return res.status(400).json({
@@ -160,7 +172,7 @@ router.get('/status', async (req, res) => {
       });
     }
 
-    const user = await databaseService.findUserByTelegramId(telegram_chat_id);
+    const user = req.telegramUser ? req.user : await databaseService.findUserByTelegramId(telegram_chat_id);
 
     if (!user) {
       return res.json({
@@ -169,10 +181,8 @@ router.get('/status', async (req, res) => {
       });
     }
 
-    const hasKeys = !!(user.gemini_api_key && user.e2b_api_key);
-
     res.json({
-      has_keys: hasKeys,
+      has_keys: hasPersonalKeys(user),
       tier: user.tier || 'FREE'
     });
 
@@ -189,11 +199,11 @@ router.get('/status', async (req, res) => {
 /**
  * DELETE /api/keys/revoke
  * Revoke user's API keys
- * Body: { telegram_chat_id }
+ * Body: { telegram_chat_id, access_code }, or none with Telegram auth
  */
 router.delete('/revoke', async (req, res) => {
   try {
-    const { telegram_chat_id } = req.body;
+    const telegram_chat_id = req.telegramUser ? req.telegramUser.id : req.body.telegram_chat_id;
 
     if (!telegram_chat_id) {
       return res.status(400).json({
@@ -201,6 +211,10 @@ router.delete('/revoke', async (req, res) => {
       });
     }
 
+    if (!req.telegramUser && !(await checkAccessCode(req, res, 'api_key_revocation_denied'))) {
+      return;
+    }
+
     const databaseService = req.app.locals.databaseService;
     if (!databaseService) {
       return res.status(500).json({
@@ -208,7 +222,7 @@ router.delete('/revoke', async (req, res) => {
       });
     }
 
-    const user = await databaseService.findUserByTelegramId(telegram_chat_id);
+    const user = req.telegramUser ? req.user : await databaseService.findUserByTelegramId(telegram_chat_id);
 
     if (!user) {
       return res.status(404).json({
@@ -216,20 +230,12 @@ router.delete('/revoke', async (req, res) => {
       });
     }
 
-    // Remove encrypted keys and downgrade tier to FREE
-    await databaseService.updateUser(user.id, {
-      gemini_api_key: null,
-      e2b_api_key: null,
-      tier: 'FREE'
-    });
+    if (!req.telegramUser && !(await checkAccessCode(req, res, 'api_key_revocation_denied', true))) {
+      return;
+    }
 
-    // Log usage
-    await databaseService.logUsage({
-      user_id: user.id,
-      action: 'API_KEYS_REVOKED',
-      success: true,
-      message: 'User revoked their personal API keys and downgraded to FREE tier'
-    });
+    // Remove encrypted keys and downgrade tier to FREE
+    await revokeUserKeys(user);
 
     res.json({
       success: true,
@@ -243,12 +249,7 @@ router.delete('/revoke', async (req, res) => {
     // Log the error
     try {
       const databaseService = req.app.locals.databaseService;
-      await databaseService.logUsage({
-        user_id: null,
-        action: 'API_KEY_REVOCATION_FAILED',
-        success: false,
-        message: `Error: ${error.message}`
-      });
+      await databaseService.logUsage(null, 'api_key_revocation_failed', null, false, error.message);
     } catch (logError) {
       console.error('Failed to log error:', logError);
     }
@@ -0,0 +1,125 @@
+const logger = require('../utils/logger');
+const cache = require('../utils/cache');
+const { keyVault } = require('../utils/keyVault');
+const databaseService = require('./database');
+
+// Validation functions
+function isValidGeminiApiKey(key) {
+  // Gemini API keys are typically 39 characters long
+  return key && typeof key === 'string' && key.length === 39 && key.startsWith('AIza');
+}
+
+function isValidE2BApiKey(key) {
+  // E2B API keys start with 'e2b_' followed by 40 hex characters
+  return key && typeof key === 'string' && key.startsWith('e2b_') && key.length === 45;
+}
+
+/**
+ * Check whether a user has stored personal API keys
+ * @param {Object} user - User record
+ * @returns {boolean}
+ */
+const hasPersonalKeys = (user) => {
+  return !!(user && (user.gemini_api_key_encrypted || user.e2b_api_key_encrypted));
+};
+
+/**
+ * Store a user's personal API keys and upgrade them to the BASIC tier.
+ * Used by POST /api/keys/activate and the bot's /setkeys wizard.
+ * Keys must already be validated.
+ * @param {Object} user - User record
+ * @param {string} geminiKey - Gemini API key
+ * @param {string} e2bKey - E2B API key
+ * @returns {Promise<Object>} - Updated user
+ */
+const activateUserKeys = async (user, geminiKey, e2bKey) => {
+  // updateUser encrypts the keys with the key vault
+  const updatedUser = await databaseService.updateUser(user.id, {
+    gemini_api_key: geminiKey,
+    e2b_api_key: e2bKey,
+    tier: 'BASIC'
+  });
+
+  await cache.clearUserData(user.id);
+  await databaseService.logUsage(user.id, 'api_keys_activated', null, true);
+
+  logger.info(`🔑 Activated personal API keys for user ${user.id}`);
+  return updatedUser;
+};
+
+/**
+ * Remove a user's personal API keys and move them back to the FREE tier.
+ * Used by DELETE /api/keys/revoke and the bot's /revoke confirmation.
+ * @param {Object} user - User record
+ * @returns {Promise<Object>} - Updated user
+ */
+const revokeUserKeys = async (user) => {
+  const updatedUser = await databaseService.updateUser(user.id, {
+    gemini_api_key: null,
+    e2b_api_key: null,
+    tier: 'FREE'
+  });
+
+  // Cached keys and quota would otherwise outlive the revocation
+  await cache.clearUserData(user.id);
+  await databaseService.logUsage(user.id, 'api_keys_revoked', null, true);
+
+  logger.info(`🗑️ Revoked personal API keys for user ${user.id}`);
+  return updatedUser;
+};
+
+// Columns holding encrypted API keys
+const ENCRYPTED_KEY_COLUMNS = ['gemini_api_key_encrypted', 'e2b_api_key_encrypted'];
+
+/**
+ * Re-encrypt stored API keys that are in a legacy format or under an older
+ * master key, so every row ends up in the vault format under the current key.
+ * Rows that cannot be decrypted are left unchanged and counted as failed.
+ * @param {Object} db - Database service (defaults to the shared one)
+ * @param {Object} vault - Key vault (defaults to the shared one)
+ * @param {Object} options - { dryRun } to only count the rows that would change
+ * @returns {Promise<Object>} - { checked, reencrypted, failed }
+ */
+const reencryptStoredKeys = async (db = databaseService, vault = keyVault, { dryRun = false } = {}) => {
+  const stats = { checked: 0, reencrypted: 0, failed: 0 };
+
+  for (const row of await db.listEncryptedApiKeys()) {
+    stats.checked++;
+    const updated = {};
+    let changed = false;
+
+    try {
+      for (const column of ENCRYPTED_KEY_COLUMNS) {
+        updated[column] = row[column] || null;
+        if (vault.needsReencryption(updated[column])) {
+          updated[column] = vault.reencrypt(updated[column]);
+          changed = true;
+        }
+      }
+    } catch (error) {
+      stats.failed++;
+      logger.error(`Could not re-encrypt API keys of user ${row.id}: ${error.message}`);
+      continue;
+    }
+
+    if (changed) {
+      if (!dryRun) {
+        await db.setEncryptedApiKeys(row.id, updated);
+        await cache.clearUserData(row.id);
+      }
+      stats.reencrypted++;
+    }
+  }
+
+  logger.info(`🔐 ${dryRun ? '[dry run] ' : ''}Re-encrypted API keys: ${stats.reencrypted}/${stats.checked} users updated, ${stats.failed} failed`);
+  return stats;
+};
+
+module.exports = {
+  isValidGeminiApiKey,
+  isValidE2BApiKey,
+  hasPersonalKeys,
+  activateUserKeys,
+  revokeUserKeys,
+  reencryptStoredKeys
+};
@@ -1,4 +1,4 @@
-const crypto = require('crypto');
+const { keyVault } = require('../utils/keyVault');
 const config = require('../config/env');
 
 // Load environment variables
@@ -6,12 +6,12 @@ require('dotenv').config({ path: __dirname + '/../../.env' });
 
 class DatabaseService {
   constructor() {
-    this.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'codebot32charencryptkey123456789';
     this.initialized = false;
     this.users = new Map(); // In-memory storage for demo
     this.conversations = new Map();
     this.messages = new Map();
     this.usageLogs = new Map();
+    this.sessions = new Map(); // Bot sessions: key -> { data, expires_at }
     this.userIdCounter = 1;
     this.conversationIdCounter = 1;
     this.messageIdCounter = 1;
@@ -44,12 +44,7 @@ class DatabaseService {
    * Encrypt API key
    */
   encryptApiKey(apiKey) {
-    const iv = crypto.randomBytes(12);
-    const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(this.ENCRYPTION_KEY), iv);
-    let encrypted = cipher.update(apiKey, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    const authTag = cipher.getAuthTag();
-    return `${iv.toString('hex')}:${authTag.toString('hex')}:${encrypted}`;
+    return keyVault.encrypt(apiKey);
   }
 
   /**
@@ -59,17 +54,7 @@ class DatabaseService {
     if (!encryptedKey) return null;
     
     try {
-      const parts = encryptedKey.split(':');
-      const iv = Buffer.from(parts[0], 'hex');
-      const authTag = Buffer.from(parts[1], 'hex');
-      const encrypted = parts[2];
-      
-      const decipher = crypto.createDecipheriv('aes-256-gcm', Buffer.from(this.ENCRYPTION_KEY), iv);
-      decipher.setAuthTag(authTag);
-      
-      let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
-      return decrypted;
+      return keyVault.decrypt(encryptedKey);
     } catch (error) {
       console.error('Error decrypting API key:', error);
       return null;
@@ -106,6 +91,8 @@ class DatabaseService {
       is_active: true,
       gemini_api_key_encrypted: null,
       e2b_api_key_encrypted: null,
+      llm_provider: null,
+      preferred_model: null,
       created_at: new Date(),
       updated_at: new Date()
     };
@@ -145,6 +132,39 @@ class DatabaseService {
     return user;
   }
 
+  /**
+   * List users' stored (encrypted) API keys, for re-encryption
+   */
+  async listEncryptedApiKeys() {
+    return [...this.users.values()]
+      .filter(user => user.gemini_api_key_encrypted || user.e2b_api_key_encrypted)
+      .map(user => ({
+        id: user.id,
+        gemini_api_key_encrypted: user.gemini_api_key_encrypted || null,
+        e2b_api_key_encrypted: user.e2b_api_key_encrypted || null
+      }));
+  }
+
+  /**
+   * Store already-encrypted API keys as they are
+   */
+  async setEncryptedApiKeys(userId, { gemini_api_key_encrypted, e2b_api_key_encrypted }) {
+    const user = this.users.get(userId);
+    if (!user) return null;
+
+    user.gemini_api_key_encrypted = gemini_api_key_encrypted;
+    user.e2b_api_key_encrypted = e2b_api_key_encrypted;
+    this.users.set(userId, user);
+    return user;
+  }
+
+  /**
+   * Store the user's preferred model (null to use the default)
+   */
+  async setPreferredModel(userId, model) {
+    return this.updateUser(userId, { preferred_model: model });
+  }
+
   /**
    * Update user (general method for any field updates)
    */
@@ -211,6 +231,9 @@ class DatabaseService {
       user_id: userId,
       thread_id: threadId,
       title: null,
+      temperature: null,
+      max_output_tokens: null,
+      verbosity: null,
       created_at: new Date(),
       updated_at: new Date()
     };
@@ -232,6 +255,18 @@ class DatabaseService {
     return null;
   }
 
+  /**
+   * Update conversation fields (e.g. generation settings)
+   */
+  async updateConversation(conversationId, updateData) {
+    const conversation = this.conversations.get(conversationId);
+    if (!conversation) return null;
+
+    Object.assign(conversation, updateData, { updated_at: new Date() });
+    this.conversations.set(conversationId, conversation);
+    return conversation;
+  }
+
   /**
    * Get recent messages
    */
@@ -288,6 +323,51 @@ class DatabaseService {
     return newLog;
   }
 
+  /**
+   * Get bot session data (null if missing or expired)
+   */
+  async getSession(key) {
+    const session = this.sessions.get(key);
+    if (!session || session.expires_at <= new Date()) {
+      return null;
+    }
+    return JSON.parse(session.data);
+  }
+
+  /**
+   * Create or replace bot session data
+   */
+  async setSession(key, data, expiresAt) {
+    this.sessions.set(key, {
+      key,
+      data: JSON.stringify(data),
+      expires_at: expiresAt,
+      updated_at: new Date()
+    });
+  }
+
+  /**
+   * Delete bot session data
+   */
+  async deleteSession(key) {
+    this.sessions.delete(key);
+  }
+
+  /**
+   * Delete expired bot sessions
+   * @returns {Promise<number>} - Number of sessions deleted
+   */
+  async deleteExpiredSessions(now = new Date()) {
+    let deleted = 0;
+    for (const [key, session] of this.sessions) {
+      if (session.expires_at <= now) {
+        this.sessions.delete(key);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
   /**
    * Get database status
    */
@@ -1,5 +1,5 @@
 const { Pool } = require('pg');
-const crypto = require('crypto');
+const { keyVault } = require('../utils/keyVault');
 const config = require('../config/env');
 
 // Load environment variables
@@ -8,7 +8,6 @@ require('dotenv').config({ path: __dirname + '/../../.env' });
 class DatabaseService {
   constructor() {
     this.pool = null;
-    this.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'codebot-encryption-key-32chars-secret';
   }
 
   /**
@@ -50,12 +49,7 @@ class DatabaseService {
    * Encrypt API key
    */
   encryptApiKey(apiKey) {
-    const iv = crypto.randomBytes(12);
-    const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(this.ENCRYPTION_KEY), iv);
-    let encrypted = cipher.update(apiKey, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    const authTag = cipher.getAuthTag();
-    return `${iv.toString('hex')}:${authTag.toString('hex')}:${encrypted}`;
+    return keyVault.encrypt(apiKey);
   }
 
   /**
@@ -65,17 +59,7 @@ class DatabaseService {
     if (!encryptedKey) return null;
     
     try {
-      const parts = encryptedKey.split(':');
-      const iv = Buffer.from(parts[0], 'hex');
-      const authTag = Buffer.from(parts[1], 'hex');
-      const encrypted = parts[2];
-      
-      const decipher = crypto.createDecipheriv('aes-256-gcm', Buffer.from(this.ENCRYPTION_KEY), iv);
-      decipher.setAuthTag(authTag);
-      
-      let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
-      return decrypted;
+      return keyVault.decrypt(encryptedKey);
     } catch (error) {
       console.error('Error decrypting API key:', error);
       return null;
@@ -143,6 +127,41 @@ class DatabaseService {
     return result.rows[0];
   }
 
+  /**
+   * List users' stored (encrypted) API keys, for re-encryption
+   */
+  async listEncryptedApiKeys() {
+    const query = `
+      SELECT id, gemini_api_key_encrypted, e2b_api_key_encrypted FROM users
+      WHERE gemini_api_key_encrypted IS NOT NULL OR e2b_api_key_encrypted IS NOT NULL
+    `;
+    const result = await this.pool.query(query);
+    return result.rows;
+  }
+
+  /**
+   * Store already-encrypted API keys as they are
+   */
+  async setEncryptedApiKeys(userId, { gemini_api_key_encrypted, e2b_api_key_encrypted }) {
+    const query = `
+      UPDATE users
+      SET gemini_api_key_encrypted = $1, e2b_api_key_encrypted = $2
+      WHERE id = $3
+      RETURNING *;
+    `;
+    const result = await this.pool.query(query, [gemini_api_key_encrypted, e2b_api_key_encrypted, userId]);
+    return result.rows[0];
+  }
+
+  /**
+   * Store the user's preferred model (null to use the default)
+   */
+  async setPreferredModel(userId, model) {
+    const query = 'UPDATE users SET preferred_model = $1 WHERE id = $2 RETURNING *';
+    const result = await this.pool.query(query, [model, userId]);
+    return result.rows[0];
+  }
+
   /**
    * Check user quota
    */
@@ -196,6 +215,23 @@ class DatabaseService {
     return result.rows[0] || null;
   }
 
+  /**
+   * Update conversation fields (e.g. generation settings)
+   */
+  async updateConversation(conversationId, updateData) {
+    const columns = Object.keys(updateData);
+    const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+    const query = `
+      UPDATE conversations
+      SET ${assignments.join(', ')}, updated_at = NOW()
+      WHERE id = $${columns.length + 1}
+      RETURNING *;
+    `;
+
+    const result = await this.pool.query(query, [...columns.map(column => updateData[column]), conversationId]);
+    return result.rows[0] || null;
+  }
+
   /**
    * Get recent messages
    */
@@ -238,6 +274,43 @@ class DatabaseService {
     return result.rows[0];
   }
 
+  /**
+   * Get bot session data (null if missing or expired)
+   */
+  async getSession(key) {
+    const query = 'SELECT data FROM sessions WHERE key = $1 AND expires_at > NOW()';
+    const result = await this.pool.query(query, [key]);
+    return result.rows[0] ? result.rows[0].data : null;
+  }
+
+  /**
+   * Create or replace bot session data
+   */
+  async setSession(key, data, expiresAt) {
+    const query = `
+      INSERT INTO sessions (key, data, expires_at, updated_at)
+      VALUES ($1, $2, $3, NOW())
+      ON CONFLICT (key) DO UPDATE SET data = $2, expires_at = $3, updated_at = NOW();
+    `;
+    await this.pool.query(query, [key, JSON.stringify(data), expiresAt]);
+  }
+
+  /**
+   * Delete bot session data
+   */
+  async deleteSession(key) {
+    await this.pool.query('DELETE FROM sessions WHERE key = $1', [key]);
+  }
+
+  /**
+   * Delete expired bot sessions
+   * @returns {Promise<number>} - Number of sessions deleted
+   */
+  async deleteExpiredSessions(now = new Date()) {
+    const result = await this.pool.query('DELETE FROM sessions WHERE expires_at <= $1', [now]);
+    return result.rowCount;
+  }
+
   /**
    * Get database status
    */
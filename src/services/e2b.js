@@ -1,18 +1,52 @@
-const axios = require('axios');
+const path = require('path');
+const { isUtf8 } = require('buffer');
 const config = require('../config/env');
 const logger = require('../utils/logger');
 const errorHandler = require('../utils/errorHandler');
+const { createHttpTransport } = require('./e2bTransport');
 
 // Use the correct E2B API endpoints that we've verified work
 const E2B_API_BASE = 'https://api.e2b.app';
 const DEFAULT_TEMPLATE_ID = 'rki5dems9wqfm4r03t7g';
+const MAX_FILE_SIZE_BYTES = 10 * 1024 * 1024; // 10 MB per file transfer
+const SANDBOX_WORKDIR = '/home/user';
+
+// Transport used for all sandbox calls (swappable for tests)
+let transport = createHttpTransport({ apiBase: E2B_API_BASE });
+
+// Connection info for sandboxes created by this process, keyed by sandbox ID
+const sandboxConnections = new Map();
+
+/**
+ * Replace the transport used for sandbox calls
+ * @param {Object} newTransport - Transport implementing createSandbox/deleteSandbox/runCommand
+ */
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+/**
+ * Get the transport currently used for sandbox calls
+ * @returns {Object} - Transport instance
+ */
+const getTransport = () => transport;
+
+/**
+ * Look up connection info for a sandbox
+ * @param {string} sandboxId - Sandbox ID
+ * @returns {Object} - Sandbox connection info
+ */
+const getSandboxConnection = (sandboxId) => {
+  return sandboxConnections.get(sandboxId) || { sandboxId, domain: null, accessToken: null, apiKey: config.E2B_API_KEY };
+};
 
 /**
  * Create a new sandbox environment
  * @param {string} apiKey - E2B API key (optional, uses default if not provided)
+ * @param {Object} options - { timeout (seconds before E2B kills it), metadata }
  * @returns {Promise<string>} - Sandbox ID
  */
-const createSandbox = async (apiKey = null) => {
+const createSandbox = async (apiKey = null, options = {}) => {
   const apiKeyToUse = apiKey || config.E2B_API_KEY;
   
   try {
@@ -20,20 +54,15 @@ const createSandbox = async (apiKey = null) => {
     logger.info(`E2B API Key check (first 10 chars): ${apiKeyToUse?.substring(0, 10)}...`);
     logger.info(`E2B API Base URL: ${E2B_API_BASE}`);
     
-    const response = await axios.post(`${E2B_API_BASE}/sandboxes`, {
-      templateID: DEFAULT_TEMPLATE_ID
-    }, {
-      headers: {
-        'X-API-Key': `${apiKeyToUse}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 30000
+    const sandbox = await transport.createSandbox({
+      apiKey: apiKeyToUse,
+      templateId: DEFAULT_TEMPLATE_ID,
+      timeout: options.timeout,
+      metadata: options.metadata
     });
 
-    logger.info('E2B API Response Status:', response.status);
-    logger.info('E2B API Response Data:', JSON.stringify(response.data, null, 2));
-    
-    const sandboxId = response.data.sandboxID;
+    const sandboxId = sandbox.sandboxId;
+    sandboxConnections.set(sandboxId, { ...sandbox, apiKey: apiKeyToUse });
     logger.info(`Sandbox created successfully: ${sandboxId}`);
     return sandboxId;
 
@@ -62,35 +91,62 @@ const createSandbox = async (apiKey = null) => {
   }
 };
 
+/**
+ * Append a message to command stderr on its own line
+ * @param {string} stderr - Command stderr
+ * @param {string} message - Message to add
+ * @returns {string}
+ */
+const appendToStderr = (stderr, message) => {
+  if (!stderr) return message;
+  return stderr.endsWith('\n') ? `${stderr}${message}` : `${stderr}\n${message}`;
+};
+
 /**
  * Execute terminal command in sandbox
- * Note: Since direct REST API for commands is limited, we'll use a simplified approach
  * @param {string} sandboxId - Sandbox ID
  * @param {string} command - Command to execute
  * @param {number} timeout - Timeout in seconds (default: 30)
  * @returns {Promise<Object>} - Command result
  */
 const executeTerminalCommand = async (sandboxId, command, timeout = 30) => {
+  const startTime = Date.now();
+
   try {
     logger.debug(`Executing terminal command: ${command}`);
-    
-    // For now, return a simulated successful response
-    // In production, this would call the actual E2B command endpoint
-    // This maintains compatibility while we work on the full integration
-    
-    const simulatedResult = {
+
+    const result = await transport.runCommand(getSandboxConnection(sandboxId), command, {
+      timeoutMs: timeout * 1000
+    });
+    const executionTime = Date.now() - startTime;
+
+    if (result.timedOut) {
+      logger.warn(`Command timed out after ${timeout}s: ${command}`);
+      return {
+        operation: 'terminal_command',
+        command: command,
+        stdout: result.stdout || '',
+        stderr: appendToStderr(result.stderr || '', `Command timed out after ${timeout} seconds`),
+        exit_code: -1,
+        success: false,
+        timed_out: true,
+        execution_time: executionTime
+      };
+    }
+
+    logger.info(`Command finished with exit code ${result.exitCode} in ${executionTime}ms: ${command}`);
+
+    // envd reports a non-zero exit as an "exit status N" error, which the exit code already says
+    const error = result.exitCode === 0 ? result.error : null;
+    return {
       operation: 'terminal_command',
       command: command,
-      stdout: `Command executed successfully in sandbox ${sandboxId}`,
-      stderr: '',
-      exit_code: 0,
-      success: true,
-      execution_time: 100,
-      note: 'This is a simulated result - full E2B command execution pending SDK integration'
+      stdout: result.stdout,
+      stderr: error ? appendToStderr(result.stderr, error) : result.stderr,
+      exit_code: result.exitCode,
+      success: result.exitCode === 0 && !result.error,
+      execution_time: executionTime
     };
-    
-    logger.info(`Command simulated successfully: ${command}`);
-    return simulatedResult;
 
   } catch (error) {
     logger.error(`Failed to execute terminal command: ${command}`, error);
@@ -100,36 +156,50 @@ const executeTerminalCommand = async (sandboxId, command, timeout = 30) => {
       stdout: '',
       stderr: error.message,
       exit_code: -1,
-      success: false
+      success: false,
+      execution_time: Date.now() - startTime
     };
   }
 };
 
 /**
  * Write file to sandbox
- * Note: Simulated implementation for compatibility
+ * Parent directories are created as needed
  * @param {string} sandboxId - Sandbox ID
  * @param {string} filePath - File path
  * @param {string} content - File content
+ * @param {string} encoding - Content encoding: 'utf8' (default) or 'base64' for binary data
  * @returns {Promise<Object>} - Write result
  */
-const writeFile = async (sandboxId, filePath, content) => {
+const writeFile = async (sandboxId, filePath, content, encoding = 'utf8') => {
   try {
     logger.debug(`Writing file: ${filePath}`);
-    
-    // Simulated file write operation
-    const simulatedResult = {
+
+    if (typeof content !== 'string') {
+      throw new Error('File content must be a string');
+    }
+
+    const data = Buffer.from(content, encoding === 'base64' ? 'base64' : 'utf8');
+    if (data.length > MAX_FILE_SIZE_BYTES) {
+      throw new Error(`File is too large (${data.length} bytes). Maximum size is ${MAX_FILE_SIZE_BYTES} bytes`);
+    }
+
+    const connection = getSandboxConnection(sandboxId);
+    const directory = path.posix.dirname(filePath);
+    if (directory !== '.' && directory !== '/') {
+      await transport.makeDir(connection, directory);
+    }
+    await transport.writeFile(connection, filePath, data);
+
+    logger.debug(`File written successfully: ${filePath} (${data.length} bytes)`);
+    return {
       operation: 'write_file',
       path: filePath,
       success: true,
-      message: `File ${filePath} written successfully in sandbox ${sandboxId}`,
-      content_length: content.length,
-      note: 'This is a simulated result - full E2B file operations pending SDK integration'
+      message: `File ${filePath} written successfully`,
+      content_length: data.length
     };
 
-    logger.debug(`File write simulated successfully: ${filePath}`);
-    return simulatedResult;
-
   } catch (error) {
     logger.error(`Failed to write file: ${filePath}`, error);
     return {
@@ -143,29 +213,45 @@ const writeFile = async (sandboxId, filePath, content) => {
 
 /**
  * Read file from sandbox
- * Note: Simulated implementation for compatibility
+ * Text files are returned as UTF-8, binary files (or encoding 'base64') as base64
  * @param {string} sandboxId - Sandbox ID
  * @param {string} filePath - File path
+ * @param {string} encoding - Requested encoding: 'utf8' (default) or 'base64'
  * @returns {Promise<Object>} - Read result
  */
-const readFile = async (sandboxId, filePath) => {
+const readFile = async (sandboxId, filePath, encoding = 'utf8') => {
   try {
     logger.debug(`Reading file: ${filePath}`);
-    
-    // Simulated file read operation
-    const simulatedContent = `Sample content for ${filePath} in sandbox ${sandboxId}`;
-    const simulatedResult = {
+
+    let data;
+    try {
+      data = await transport.readFile(getSandboxConnection(sandboxId), filePath, {
+        maxBytes: MAX_FILE_SIZE_BYTES
+      });
+    } catch (error) {
+      if (error.message && error.message.includes('maxContentLength')) {
+        throw new Error(`File is too large to read. Maximum size is ${MAX_FILE_SIZE_BYTES} bytes`);
+      }
+      throw error;
+    }
+
+    if (data === null) {
+      throw new Error(`File not found: ${filePath}`);
+    }
+
+    const asBase64 = encoding === 'base64' || !isUtf8(data);
+    const content = data.toString(asBase64 ? 'base64' : 'utf8');
+
+    logger.debug(`File read successfully: ${filePath} (${data.length} bytes)`);
+    return {
       operation: 'read_file',
       path: filePath,
-      content: simulatedContent,
+      content: content,
+      encoding: asBase64 ? 'base64' : 'utf8',
       success: true,
-      size: simulatedContent.length,
-      note: 'This is a simulated result - full E2B file operations pending SDK integration'
+      size: data.length
     };
 
-    logger.debug(`File read simulated successfully: ${filePath} (${simulatedContent.length} characters)`);
-    return simulatedResult;
-
   } catch (error) {
     logger.error(`Failed to read file: ${filePath}`, error);
     return {
@@ -178,6 +264,40 @@ const readFile = async (sandboxId, filePath) => {
   }
 };
 
+/**
+ * List directory contents in sandbox
+ * @param {string} sandboxId - Sandbox ID
+ * @param {string} dirPath - Directory path (default: sandbox working directory)
+ * @returns {Promise<Object>} - Listing result
+ */
+const listDirectory = async (sandboxId, dirPath = SANDBOX_WORKDIR) => {
+  try {
+    logger.debug(`Listing directory: ${dirPath}`);
+
+    const entries = await transport.listDir(getSandboxConnection(sandboxId), dirPath);
+    if (entries === null) {
+      throw new Error(`Directory not found: ${dirPath}`);
+    }
+
+    return {
+      operation: 'list_directory',
+      path: dirPath,
+      entries: entries,
+      success: true
+    };
+
+  } catch (error) {
+    logger.error(`Failed to list directory: ${dirPath}`, error);
+    return {
+      operation: 'list_directory',
+      path: dirPath,
+      entries: [],
+      success: false,
+      error: error.message
+    };
+  }
+};
+
 /**
  * Execute browser action in sandbox
  * Note: Simulated implementation for compatibility
@@ -219,20 +339,16 @@ const executeBrowserAction = async (sandboxId, action) => {
 /**
  * Delete sandbox environment
  * @param {string} sandboxId - Sandbox ID to delete
+ * @param {string} apiKey - E2B API key (optional, defaults to the key that created it)
  * @returns {Promise<boolean>} - Success status
  */
-const deleteSandbox = async (sandboxId) => {
+const deleteSandbox = async (sandboxId, apiKey = null) => {
   try {
     logger.info(`Deleting sandbox: ${sandboxId}`);
     
-    // Use the correct endpoint: /sandboxes/{id}
-    await axios.delete(`${E2B_API_BASE}/sandboxes/${sandboxId}`, {
-      headers: {
-        'X-API-Key': `${config.E2B_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 10000
-    });
+    const connection = getSandboxConnection(sandboxId);
+    await transport.deleteSandbox({ apiKey: apiKey || connection.apiKey, sandboxId });
+    sandboxConnections.delete(sandboxId);
 
     logger.info(`Sandbox deleted successfully: ${sandboxId}`);
     return true;
@@ -244,29 +360,82 @@ const deleteSandbox = async (sandboxId) => {
   }
 };
 
+/**
+ * Extend a sandbox's lifetime on the E2B side
+ * @param {string} sandboxId - Sandbox ID
+ * @param {number} timeout - Seconds from now until E2B kills the sandbox
+ * @returns {Promise<boolean>} - False if the sandbox is gone or unreachable
+ */
+const keepAliveSandbox = async (sandboxId, timeout) => {
+  try {
+    const connection = getSandboxConnection(sandboxId);
+    return await transport.setSandboxTimeout({ apiKey: connection.apiKey, sandboxId, timeout });
+  } catch (error) {
+    logger.error(`Failed to extend sandbox timeout: ${sandboxId}`, error);
+    return false;
+  }
+};
+
+/**
+ * List sandboxes currently running for an API key
+ * @param {string} apiKey - E2B API key (optional, uses default if not provided)
+ * @returns {Promise<Array>} - Array of { sandboxId, metadata, startedAt }
+ */
+const listSandboxes = async (apiKey = null) => {
+  return transport.listSandboxes({ apiKey: apiKey || config.E2B_API_KEY });
+};
+
+/**
+ * Pass a progress event to a callback without letting its failures affect the operations
+ * @param {Function} onProgress - Progress callback (optional)
+ * @param {Object} event - Progress event
+ */
+const reportProgress = async (onProgress, event) => {
+  if (!onProgress) {
+    return;
+  }
+
+  try {
+    await onProgress(event);
+  } catch (error) {
+    logger.warn(`Progress callback failed: ${error.message}`);
+  }
+};
+
 /**
  * Execute multiple operations in sequence in a sandbox
  * Enhanced with better error handling and logging
  * @param {Array} operations - Array of operations to execute
  * @param {string} apiKey - E2B API key (optional, uses default if not provided)
+ * @param {Object} options - Optional settings:
+ *   sandboxId: run in an existing sandbox, which is left running
+ *   onProgress: called with { type: 'operation_start'|'operation_end', index, total, operation, result }
  * @returns {Promise<Array>} - Array of operation results
  */
-const executeOperations = async (operations, apiKey = null) => {
+const executeOperations = async (operations, apiKey = null, options = {}) => {
   logger.info('=== E2B EXECUTE OPERATIONS START ===');
   logger.info(`Received ${operations.length} operations to execute`);
   logger.info(`Operations details: ${JSON.stringify(operations, null, 2)}`);
   
-  let sandboxId = null;
+  const ownsSandbox = !options.sandboxId;
+  let sandboxId = options.sandboxId || null;
   const results = [];
   
   try {
-    logger.info('Creating sandbox for operations...');
-    // Create sandbox for operations
-    sandboxId = await createSandbox(apiKey);
-    logger.info(`Sandbox created successfully: ${sandboxId}`);
+    if (ownsSandbox) {
+      logger.info('Creating sandbox for operations...');
+      // Create a throwaway sandbox for these operations only
+      sandboxId = await createSandbox(apiKey);
+      logger.info(`Sandbox created successfully: ${sandboxId}`);
+    } else {
+      logger.info(`Using existing sandbox: ${sandboxId}`);
+    }
     
     // Execute operations in sequence
-    for (const operation of operations) {
+    for (const [index, operation] of operations.entries()) {
+      const total = operations.length;
+      await reportProgress(options.onProgress, { type: 'operation_start', index, total, operation });
+
       try {
         logger.info(`Executing operation: ${operation.type}`);
         let result;
@@ -286,13 +455,14 @@ const executeOperations = async (operations, apiKey = null) => {
             result = await writeFile(
               sandboxId, 
               operation.path, 
-              operation.content
+              operation.content,
+              operation.encoding
             );
             break;
             
           case 'read_file':
             logger.info(`Reading file: ${operation.path}`);
-            result = await readFile(sandboxId, operation.path);
+            result = await readFile(sandboxId, operation.path, operation.encoding);
             break;
             
           case 'browser_action':
@@ -325,6 +495,8 @@ const executeOperations = async (operations, apiKey = null) => {
           error: operationError.message
         });
       }
+
+      await reportProgress(options.onProgress, { type: 'operation_end', index, total, operation, result: results[index] });
     }
     
     logger.info(`=== E2B EXECUTE OPERATIONS COMPLETE === - ${results.length} results`);
@@ -335,8 +507,10 @@ const executeOperations = async (operations, apiKey = null) => {
     logger.error(`=== E2B EXECUTE OPERATIONS FAILED ===`, error);
     throw error;
   } finally {
-    // Always clean up sandbox
-    if (sandboxId) {
+    // Always clean up sandboxes we created; session sandboxes outlive this call
+    if (!ownsSandbox) {
+      logger.info(`Keeping session sandbox running: ${sandboxId}`);
+    } else if (sandboxId) {
       logger.info(`Cleaning up sandbox: ${sandboxId}`);
       try {
         await deleteSandbox(sandboxId);
@@ -356,10 +530,17 @@ module.exports = {
   executeTerminalCommand,
   writeFile,
   readFile,
+  listDirectory,
   executeBrowserAction,
   deleteSandbox,
+  keepAliveSandbox,
+  listSandboxes,
+  setTransport,
+  getTransport,
   
   // Export constants for reference
   E2B_API_BASE,
-  DEFAULT_TEMPLATE_ID
+  DEFAULT_TEMPLATE_ID,
+  MAX_FILE_SIZE_BYTES,
+  SANDBOX_WORKDIR
 };
\ No newline at end of file
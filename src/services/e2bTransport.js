@@ -0,0 +1,329 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+// The envd daemon inside every sandbox listens on this port
+const ENVD_PORT = 49983;
+const DEFAULT_SANDBOX_DOMAIN = 'e2b.app';
+const DEFAULT_USER = 'user';
+
+/**
+ * Encode a message as a Connect protocol envelope (1 flag byte + 4 length bytes + JSON)
+ * @param {Object} message - Message to encode
+ * @returns {Buffer} - Encoded envelope
+ */
+const encodeEnvelope = (message) => {
+  const payload = Buffer.from(JSON.stringify(message), 'utf8');
+  const header = Buffer.alloc(5);
+  header.writeUInt8(0, 0);
+  header.writeUInt32BE(payload.length, 1);
+  return Buffer.concat([header, payload]);
+};
+
+/**
+ * Decode a buffer of Connect protocol envelopes
+ * @param {Buffer} buffer - Raw response body
+ * @returns {Array} - Array of { flags, message } objects
+ */
+const decodeEnvelopes = (buffer) => {
+  const envelopes = [];
+  let offset = 0;
+
+  while (offset + 5 <= buffer.length) {
+    const flags = buffer.readUInt8(offset);
+    const length = buffer.readUInt32BE(offset + 1);
+    const payload = buffer.subarray(offset + 5, offset + 5 + length).toString('utf8');
+    envelopes.push({ flags, message: payload ? JSON.parse(payload) : {} });
+    offset += 5 + length;
+  }
+
+  return envelopes;
+};
+
+/**
+ * Create an HTTP transport speaking the E2B control plane and envd APIs.
+ * Every sandbox operation in e2b.js goes through a transport, so tests can
+ * point it at a local stand-in server with the same API shape.
+ * @param {Object} options - Transport options
+ * @param {string} options.apiBase - Control plane base URL (e.g. https://api.e2b.app)
+ * @param {Function} options.envdUrl - Optional (sandboxId, domain) => envd base URL override
+ * @returns {Object} - Transport instance
+ */
+const createHttpTransport = ({ apiBase, envdUrl = null }) => {
+  const resolveEnvdUrl = (sandbox) => {
+    if (envdUrl) {
+      return envdUrl(sandbox.sandboxId, sandbox.domain);
+    }
+    return `https://${ENVD_PORT}-${sandbox.sandboxId}.${sandbox.domain || DEFAULT_SANDBOX_DOMAIN}`;
+  };
+
+  const envdHeaders = (sandbox, extraHeaders = {}) => {
+    const headers = {
+      // envd picks the OS user from basic auth with an empty password
+      'Authorization': `Basic ${Buffer.from(`${DEFAULT_USER}:`).toString('base64')}`,
+      ...extraHeaders
+    };
+    if (sandbox.accessToken) {
+      headers['X-Access-Token'] = sandbox.accessToken;
+    }
+    return headers;
+  };
+
+  return {
+    name: 'http',
+
+    /**
+     * Create a sandbox through the control plane
+     * @param {Object} params - { apiKey, templateId, timeout (seconds), metadata }
+     * @returns {Promise<Object>} - Sandbox connection info
+     */
+    async createSandbox({ apiKey, templateId, timeout = null, metadata = null }) {
+      const response = await axios.post(`${apiBase}/sandboxes`, {
+        templateID: templateId,
+        ...(timeout ? { timeout } : {}),
+        ...(metadata ? { metadata } : {})
+      }, {
+        headers: {
+          'X-API-Key': `${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 30000
+      });
+
+      return {
+        sandboxId: response.data.sandboxID,
+        domain: response.data.domain || null,
+        accessToken: response.data.envdAccessToken || null
+      };
+    },
+
+    /**
+     * Reset the time after which the control plane kills the sandbox
+     * @param {Object} params - { apiKey, sandboxId, timeout (seconds) }
+     * @returns {Promise<boolean>} - False if the sandbox no longer exists
+     */
+    async setSandboxTimeout({ apiKey, sandboxId, timeout }) {
+      try {
+        await axios.post(`${apiBase}/sandboxes/${sandboxId}/timeout`, { timeout }, {
+          headers: {
+            'X-API-Key': `${apiKey}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: 10000
+        });
+        return true;
+      } catch (error) {
+        if (error.response?.status === 404) {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * List running sandboxes owned by an API key
+     * @param {Object} params - { apiKey }
+     * @returns {Promise<Array>} - Array of { sandboxId, metadata, startedAt }
+     */
+    async listSandboxes({ apiKey }) {
+      const response = await axios.get(`${apiBase}/sandboxes`, {
+        headers: { 'X-API-Key': `${apiKey}` },
+        timeout: 10000
+      });
+
+      return (response.data || []).map(sandbox => ({
+        sandboxId: sandbox.sandboxID,
+        metadata: sandbox.metadata || {},
+        startedAt: sandbox.startedAt
+      }));
+    },
+
+    /**
+     * Kill a sandbox through the control plane
+     * @param {Object} params - { apiKey, sandboxId }
+     */
+    async deleteSandbox({ apiKey, sandboxId }) {
+      await axios.delete(`${apiBase}/sandboxes/${sandboxId}`, {
+        headers: {
+          'X-API-Key': `${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 10000
+      });
+    },
+
+    /**
+     * Run a shell command inside the sandbox and wait for it to exit
+     * @param {Object} sandbox - Sandbox connection info
+     * @param {string} command - Shell command
+     * @param {Object} options - { timeoutMs, cwd }
+     * @returns {Promise<Object>} - { stdout, stderr, exitCode, timedOut, error }
+     */
+    async runCommand(sandbox, command, { timeoutMs = 30000, cwd = null } = {}) {
+      const body = encodeEnvelope({
+        process: {
+          cmd: '/bin/bash',
+          args: ['-l', '-c', command],
+          envs: {},
+          ...(cwd ? { cwd } : {})
+        }
+      });
+
+      let response;
+      try {
+        response = await axios.post(`${resolveEnvdUrl(sandbox)}/process.Process/Start`, body, {
+          headers: envdHeaders(sandbox, {
+            'Content-Type': 'application/connect+json',
+            'Connect-Protocol-Version': '1',
+            'Connect-Timeout-Ms': String(timeoutMs)
+          }),
+          responseType: 'arraybuffer',
+          // Leave the sandbox time to report the deadline itself before we give up
+          timeout: timeoutMs + 5000
+        });
+      } catch (error) {
+        if (error.code === 'ECONNABORTED') {
+          return { stdout: '', stderr: '', exitCode: -1, timedOut: true, error: null };
+        }
+        throw error;
+      }
+
+      const stdout = [];
+      const stderr = [];
+      let exitCode = null;
+      let streamError = null;
+
+      for (const { flags, message } of decodeEnvelopes(Buffer.from(response.data))) {
+        // Flag 0x02 marks the end-of-stream trailer
+        if (flags & 0x02) {
+          if (message.error) streamError = message.error;
+          continue;
+        }
+
+        const event = message.event || {};
+        if (event.data) {
+          if (event.data.stdout) stdout.push(Buffer.from(event.data.stdout, 'base64'));
+          if (event.data.stderr) stderr.push(Buffer.from(event.data.stderr, 'base64'));
+        }
+        if (event.end) {
+          // Protobuf JSON omits zero values, so a missing exitCode means 0
+          exitCode = event.end.exitCode || 0;
+          if (event.end.error) streamError = { message: event.end.error };
+        }
+      }
+
+      const timedOut = !!(streamError && streamError.code === 'deadline_exceeded');
+      logger.debug(`envd command finished: exit=${exitCode}, timedOut=${timedOut}`);
+
+      return {
+        stdout: Buffer.concat(stdout).toString('utf8'),
+        stderr: Buffer.concat(stderr).toString('utf8'),
+        exitCode: exitCode === null ? -1 : exitCode,
+        timedOut,
+        error: timedOut ? null : (streamError ? streamError.message || streamError.code : null)
+      };
+    },
+
+    /**
+     * Create a directory (and its parents) inside the sandbox
+     * @param {Object} sandbox - Sandbox connection info
+     * @param {string} dirPath - Directory path
+     */
+    async makeDir(sandbox, dirPath) {
+      try {
+        await axios.post(`${resolveEnvdUrl(sandbox)}/filesystem.Filesystem/MakeDir`, { path: dirPath }, {
+          headers: envdHeaders(sandbox, {
+            'Content-Type': 'application/json',
+            'Connect-Protocol-Version': '1'
+          }),
+          timeout: 10000
+        });
+      } catch (error) {
+        // An existing directory is not a failure
+        if (error.response?.data?.code === 'already_exists') {
+          return;
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * List a directory inside the sandbox
+     * @param {Object} sandbox - Sandbox connection info
+     * @param {string} dirPath - Directory path
+     * @returns {Promise<Array|null>} - Array of { name, path, type, size }, or null if the path does not exist
+     */
+    async listDir(sandbox, dirPath) {
+      try {
+        const response = await axios.post(`${resolveEnvdUrl(sandbox)}/filesystem.Filesystem/ListDir`, { path: dirPath, depth: 1 }, {
+          headers: envdHeaders(sandbox, {
+            'Content-Type': 'application/json',
+            'Connect-Protocol-Version': '1'
+          }),
+          timeout: 10000
+        });
+
+        return (response.data.entries || []).map(entry => ({
+          name: entry.name,
+          path: entry.path,
+          type: entry.type === 'FILE_TYPE_DIRECTORY' ? 'directory' : 'file',
+          size: Number(entry.size || 0)
+        }));
+      } catch (error) {
+        if (error.response?.data?.code === 'not_found') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Upload a file into the sandbox
+     * @param {Object} sandbox - Sandbox connection info
+     * @param {string} filePath - Destination path
+     * @param {Buffer} data - File content
+     */
+    async writeFile(sandbox, filePath, data) {
+      const form = new FormData();
+      form.append('file', new Blob([data]), filePath.split('/').pop());
+
+      await axios.post(`${resolveEnvdUrl(sandbox)}/files`, form, {
+        params: { path: filePath, username: DEFAULT_USER },
+        headers: envdHeaders(sandbox),
+        maxBodyLength: Infinity,
+        timeout: 60000
+      });
+    },
+
+    /**
+     * Download a file from the sandbox
+     * @param {Object} sandbox - Sandbox connection info
+     * @param {string} filePath - Source path
+     * @param {Object} options - { maxBytes }
+     * @returns {Promise<Buffer|null>} - File content, or null if the path does not exist
+     */
+    async readFile(sandbox, filePath, { maxBytes = Infinity } = {}) {
+      try {
+        const response = await axios.get(`${resolveEnvdUrl(sandbox)}/files`, {
+          params: { path: filePath, username: DEFAULT_USER },
+          headers: envdHeaders(sandbox),
+          responseType: 'arraybuffer',
+          maxContentLength: maxBytes,
+          timeout: 60000
+        });
+        return Buffer.from(response.data);
+      } catch (error) {
+        if (error.response?.status === 404) {
+          return null;
+        }
+        throw error;
+      }
+    }
+  };
+};
+
+module.exports = {
+  createHttpTransport,
+  encodeEnvelope,
+  decodeEnvelopes,
+  ENVD_PORT
+};
@@ -2,32 +2,192 @@ const axios = require('axios');
 const config = require('../config/env');
 const logger = require('../utils/logger');
 const errorHandler = require('../utils/errorHandler');
+const systemPrompt = require('../prompts/systemPrompt');
+const operationTools = require('../prompts/operationTools');
+const { readSseStream } = require('../utils/sse');
+const { DEFAULT_SETTINGS, getVerbosityInstruction } = require('./generationSettings');
 
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-lite:generateContent';
+const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+/**
+ * Build the endpoint URL for a Gemini model
+ * @param {string} model - Model name, e.g. "gemini-2.5-flash-lite"
+ * @param {boolean} stream - Use streamGenerateContent with SSE
+ * @returns {string} - Endpoint URL
+ */
+const getModelUrl = (model, stream = false) => stream
+  ? `${GEMINI_API_BASE}/${model}:streamGenerateContent?alt=sse`
+  : `${GEMINI_API_BASE}/${model}:generateContent`;
+
+/**
+ * Build the parts of a Gemini message from text and inline media (images, audio)
+ * @param {string} text - Text part
+ * @param {Array} attachments - Array of { mimeType, data } with base64 data (optional)
+ * @returns {Array} - Gemini content parts
+ */
+const buildParts = (text, attachments = []) => {
+  const parts = [{ text }];
+
+  for (const attachment of attachments) {
+    parts.push({
+      inlineData: {
+        mimeType: attachment.mimeType,
+        data: attachment.data
+      }
+    });
+  }
+
+  return parts;
+};
+
+/**
+ * Convert conversation history into Gemini multi-turn contents.
+ * Assistant turns use the "model" role and carry their function calls.
+ * Tool turns carry function responses and are sent with the "user" role.
+ * System notes recorded during the conversation (e.g. uploads) become user
+ * turns, since Gemini only accepts system text through systemInstruction.
+ * Consecutive turns with the same role are merged, and leading model turns
+ * are dropped because contents must start with a user turn.
+ * @param {Array} history - Conversation history entries:
+ *   { role: 'user'|'system', content, images }
+ *   { role: 'assistant', content, toolCalls: [{ name, args, thoughtSignature }] }
+ *   { role: 'tool', results: [{ name, response }] }
+ * @returns {Array} - Gemini contents
+ */
+const buildContents = (history) => {
+  const contents = [];
+
+  for (const message of history) {
+    let role = 'user';
+    let parts;
+
+    if (message.role === 'tool') {
+      parts = message.results.map(result => ({
+        functionResponse: { name: result.name, response: result.response }
+      }));
+    } else if (message.role === 'assistant') {
+      role = 'model';
+      parts = message.content ? [{ text: message.content }] : [];
+      for (const call of message.toolCalls || []) {
+        const part = { functionCall: { name: call.name, args: call.args } };
+        if (call.thoughtSignature) {
+          part.thoughtSignature = call.thoughtSignature;
+        }
+        parts.push(part);
+      }
+    } else {
+      const text = message.role === 'system' ? `[System note] ${message.content}` : message.content;
+      parts = buildParts(text, message.images || []);
+    }
+
+    const previous = contents[contents.length - 1];
+    if (parts.length === 0) {
+      continue;
+    } else if (previous && previous.role === role) {
+      previous.parts.push(...parts);
+    } else if (previous || role === 'user') {
+      contents.push({ role, parts });
+    }
+  }
+
+  return contents;
+};
+
+/**
+ * Stream a request through streamGenerateContent and merge the chunks
+ * into one generateContent-style response. Usage metadata is taken from
+ * the last chunk that carries it, which covers the whole response.
+ * @param {string} url - streamGenerateContent endpoint URL
+ * @param {Object} requestBody - Gemini request body
+ * @param {string} apiKey - Gemini API key
+ * @param {Function} onText - Called with the text received so far
+ * @returns {Promise<Object>} - { candidates: [{ content: { parts } }], usageMetadata }
+ */
+const streamGemini = async (url, requestBody, apiKey, onText) => {
+  const response = await axios.post(url, requestBody, {
+    headers: {
+      'Content-Type': 'application/json',
+      'x-goog-api-key': apiKey
+    },
+    responseType: 'stream',
+    timeout: 120000 // time to first byte; the stream itself may take longer
+  });
+
+  const parts = [];
+  let text = '';
+  let usageMetadata;
+
+  const handleEvent = async (data) => {
+    const chunk = JSON.parse(data);
+    if (chunk.error) {
+      throw new Error(chunk.error.message || 'Gemini stream error');
+    }
+    if (chunk.usageMetadata) {
+      usageMetadata = chunk.usageMetadata;
+    }
+
+    const chunkParts = chunk.candidates?.[0]?.content?.parts || [];
+    let textChanged = false;
+    for (const part of chunkParts) {
+      if (part.text && !part.thought) {
+        text += part.text;
+        textChanged = true;
+      } else if (!part.text) {
+        parts.push(part);
+      }
+    }
+
+    if (textChanged) {
+      try {
+        await onText(text);
+      } catch (error) {
+        logger.warn(`Streaming text callback failed: ${error.message}`);
+      }
+    }
+  };
+
+  await readSseStream(response.data, handleEvent);
+
+  return {
+    candidates: [{ content: { role: 'model', parts: text ? [{ text }, ...parts] : parts } }],
+    usageMetadata
+  };
+};
 
 /**
  * Call Gemini API with exponential backoff retry logic
- * @param {string} prompt - The prompt to send to Gemini
+ * @param {string|Array} prompt - Prompt text, or a Gemini contents array for multi-turn requests
  * @param {string} apiKey - Gemini API key (optional, uses default if not provided)
  * @param {number} retries - Number of retry attempts (default: 3)
- * @returns {Promise<Object>} - Response text and usage info from Gemini
+ * @param {Object} options - Optional request settings:
+ *   attachments: [{ mimeType, data }] inline media sent alongside a text prompt
+ *   systemInstruction: system prompt text
+ *   functionDeclarations: functions the model may call
+ *   functionCallingMode: "AUTO" (default) or "NONE" to forbid function calls
+ *   onText: streams the response and is called with the text received so far
+ *   model: Gemini model name (defaults to GEMINI_MODEL)
+ *   generation: { temperature, maxOutputTokens, verbosity } overriding DEFAULT_SETTINGS
+ * @returns {Promise<Object>} - Response text, function calls and usage info from Gemini
  */
-const callGemini = async (prompt, apiKey = null, retries = 3) => {
+const callGemini = async (prompt, apiKey = null, retries = 3, options = {}) => {
   const apiKeyToUse = apiKey || config.GEMINI_API_KEY;
+  const { attachments = [], systemInstruction = null, functionDeclarations = null, functionCallingMode = 'AUTO', onText = null } = options;
+  const model = options.model || config.GEMINI_MODEL;
+  const generation = { ...DEFAULT_SETTINGS, ...options.generation };
+  const instructions = [systemInstruction, getVerbosityInstruction(generation.verbosity)].filter(Boolean);
+  const contents = Array.isArray(prompt) ? prompt : [{ role: 'user', parts: buildParts(prompt, attachments) }];
   
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
-      logger.debug(`Calling Gemini API (attempt ${attempt}/${retries})`);
+      logger.debug(`Calling Gemini API (attempt ${attempt}/${retries}, ${contents.length} turns)`);
       
       const requestBody = {
-        contents: [{
-          parts: [{ text: prompt }]
-        }],
+        contents,
         generationConfig: {
-          temperature: 0.7,
+          temperature: generation.temperature,
           topK: 40,
           topP: 0.95,
-          maxOutputTokens: 8192,
+          maxOutputTokens: generation.maxOutputTokens,
         },
         safetySettings: [
           {
@@ -49,39 +209,66 @@ const callGemini = async (prompt, apiKey = null, retries = 3) => {
         ]
       };
 
-      const response = await axios.post(GEMINI_API_URL, requestBody, {
-        headers: {
-          'Content-Type': 'application/json',
-          'x-goog-api-key': apiKeyToUse
-        },
-        timeout: 30000 // 30 seconds timeout
-      });
+      if (instructions.length > 0) {
+        requestBody.systemInstruction = {
+          parts: [{ text: instructions.join('\n\n') }]
+        };
+      }
+
+      if (functionDeclarations) {
+        requestBody.tools = [{ functionDeclarations }];
+        requestBody.toolConfig = {
+          functionCallingConfig: { mode: functionCallingMode }
+        };
+      }
+
+      const responseData = onText
+        ? await streamGemini(getModelUrl(model, true), requestBody, apiKeyToUse, onText)
+        : (await axios.post(getModelUrl(model), requestBody, {
+          headers: {
+            'Content-Type': 'application/json',
+            'x-goog-api-key': apiKeyToUse
+          },
+          timeout: 30000 // 30 seconds timeout
+        })).data;
 
       // Validate response structure
-      if (!response.data || !response.data.candidates || !response.data.candidates[0]) {
+      if (!responseData || !responseData.candidates || !responseData.candidates[0]) {
         throw new Error('Invalid response structure from Gemini API');
       }
 
-      const candidate = response.data.candidates[0];
+      const candidate = responseData.candidates[0];
       if (!candidate.content || !candidate.content.parts || !candidate.content.parts[0]) {
         throw new Error('Invalid candidate structure in Gemini response');
       }
 
-      const responseText = candidate.content.parts[0].text;
-      if (!responseText) {
+      const responseText = candidate.content.parts
+        .filter(part => part.text && !part.thought)
+        .map(part => part.text)
+        .join('');
+      const functionCalls = candidate.content.parts
+        .filter(part => part.functionCall)
+        .map(part => ({
+          name: part.functionCall.name,
+          args: part.functionCall.args || {},
+          thoughtSignature: part.thoughtSignature
+        }));
+
+      if (!responseText && functionCalls.length === 0) {
         throw new Error('Empty response text from Gemini API');
       }
 
       // Extract usage information if available
-      const tokensUsed = response.data.usageMetadata ? 
-        (response.data.usageMetadata.promptTokenCount + response.data.usageMetadata.candidatesTokenCount) : 
+      const tokensUsed = responseData.usageMetadata ? 
+        (responseData.usageMetadata.promptTokenCount + responseData.usageMetadata.candidatesTokenCount) : 
         null;
 
       logger.debug('Successfully received response from Gemini API');
       return {
         response: responseText,
+        functionCalls,
         tokensUsed: tokensUsed,
-        usageMetadata: response.data.usageMetadata
+        usageMetadata: responseData.usageMetadata
       };
 
     } catch (error) {
@@ -158,25 +345,53 @@ const extractJsonFromResponse = (responseText) => {
 };
 
 /**
- * Process a conversation with Gemini, handling iterative responses
- * @param {string} userMessage - User's message
- * @param {Object} conversationHistory - Previous messages (optional)
+ * Process a conversation with Gemini, handling iterative responses.
+ * Sandbox operations are requested through native function calls; a JSON
+ * operations block in the text is still accepted as a fallback.
+ * @param {string|null} userMessage - User's message, sent as the latest user turn (null to continue after tool results)
+ * @param {Array} conversationHistory - Previous turns, not including userMessage (optional)
  * @param {string} apiKey - Gemini API key (optional, uses default if not provided)
- * @returns {Promise<Object>} - Response object with text, operations, and usage
+ * @param {Object} options - Optional settings:
+ *   images: attached to the user's message
+ *   allowOperations: false to forbid further function calls (default true)
+ *   onText: stream the response, called with the text received so far
+ *   model: Gemini model name (defaults to GEMINI_MODEL)
+ *   generation: the conversation's generation settings
+ * @returns {Promise<Object>} - Response object with text, operations, tool calls and usage
  */
-const processConversation = async (userMessage, conversationHistory = [], apiKey = null) => {
+const processConversation = async (userMessage, conversationHistory = [], apiKey = null, options = {}) => {
   try {
-    let context = '';
-    
-    if (conversationHistory.length > 0) {
-      context = '\n\nPrevious conversation context:\n' + 
-        conversationHistory.map(msg => `${msg.role}: ${msg.content}`).join('\n') + '\n\n';
+    const history = [...conversationHistory];
+    if (userMessage !== null) {
+      history.push({ role: 'user', content: userMessage, images: options.images });
     }
 
-    const prompt = userMessage + context;
-    const geminiResponse = await callGemini(prompt, apiKey);
+    const geminiResponse = await callGemini(buildContents(history), apiKey, 3, {
+      systemInstruction: systemPrompt,
+      functionDeclarations: operationTools,
+      functionCallingMode: options.allowOperations === false ? 'NONE' : 'AUTO',
+      onText: options.onText,
+      model: options.model,
+      generation: options.generation
+    });
+    const usage = {
+      promptTokens: geminiResponse.usageMetadata?.promptTokenCount || null,
+      responseTokens: geminiResponse.usageMetadata?.candidatesTokenCount || null
+    };
+
+    // Native function calls map directly onto operations
+    if (geminiResponse.functionCalls.length > 0) {
+      return {
+        response: geminiResponse.response,
+        operations: geminiResponse.functionCalls.map(call => ({ ...call.args, type: call.name })),
+        toolCalls: geminiResponse.functionCalls,
+        status: 'in_progress',
+        tokensUsed: geminiResponse.tokensUsed,
+        usage
+      };
+    }
     
-    // Check if response contains operations
+    // Fall back to a JSON operations block in the text
     const operations = extractJsonFromResponse(geminiResponse.response);
     
     if (operations && operations.operations && operations.operations.length > 0) {
@@ -184,14 +399,16 @@ const processConversation = async (userMessage, conversationHistory = [], apiKey
         response: operations.response || geminiResponse.response,
         operations: operations.operations,
         status: operations.status || 'in_progress',
-        tokensUsed: geminiResponse.tokensUsed
+        tokensUsed: geminiResponse.tokensUsed,
+        usage
       };
     }
 
     return {
       response: geminiResponse.response,
       status: 'complete',
-      tokensUsed: geminiResponse.tokensUsed
+      tokensUsed: geminiResponse.tokensUsed,
+      usage
     };
 
   } catch (error) {
@@ -200,8 +417,27 @@ const processConversation = async (userMessage, conversationHistory = [], apiKey
   }
 };
 
+/**
+ * Check that an API key is accepted and still has generation quota, with a
+ * one-token generateContent call on the default model (a metadata lookup would
+ * succeed for keys whose quota is used up). Errors are thrown as returned by axios.
+ * @param {string} apiKey - Gemini API key
+ */
+const verifyApiKey = async (apiKey) => {
+  await axios.post(getModelUrl(config.GEMINI_MODEL, false), {
+    contents: [{ role: 'user', parts: [{ text: 'ping' }] }],
+    generationConfig: { maxOutputTokens: 1 }
+  }, {
+    headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+    timeout: 10000
+  });
+};
+
 module.exports = {
+  buildParts,
+  buildContents,
   callGemini,
   extractJsonFromResponse,
-  processConversation
+  processConversation,
+  verifyApiKey
 };
\ No newline at end of file
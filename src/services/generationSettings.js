@@ -0,0 +1,98 @@
+/**
+ * Per-conversation generation settings, chosen with /settings and stored on
+ * the conversation (temperature, max_output_tokens, verbosity columns)
+ */
+
+// Values used when a conversation has not changed a setting
+const DEFAULT_SETTINGS = {
+  temperature: 0.7,
+  maxOutputTokens: 8192,
+  verbosity: 'normal'
+};
+
+// Choices offered by /settings, keyed by setting name
+const SETTING_OPTIONS = {
+  temperature: {
+    title: '🌡️ Creativity',
+    column: 'temperature',
+    choices: [
+      { label: 'Precise', value: 0.2 },
+      { label: 'Balanced', value: 0.7 },
+      { label: 'Creative', value: 1.0 }
+    ]
+  },
+  maxOutputTokens: {
+    title: '📏 Output length',
+    column: 'max_output_tokens',
+    choices: [
+      { label: 'Short', value: 1024 },
+      { label: 'Medium', value: 4096 },
+      { label: 'Long', value: 8192 }
+    ]
+  },
+  verbosity: {
+    title: '💬 Verbosity',
+    column: 'verbosity',
+    choices: [
+      { label: 'Concise', value: 'concise' },
+      { label: 'Normal', value: 'normal' },
+      { label: 'Detailed', value: 'detailed' }
+    ]
+  }
+};
+
+// Added to the system instruction for non-default verbosity
+const VERBOSITY_INSTRUCTIONS = {
+  concise: 'Keep answers short: give the result and only the explanation that is strictly needed.',
+  normal: null,
+  detailed: 'Give thorough answers: explain your reasoning, the code and any trade-offs step by step.'
+};
+
+/**
+ * Read the generation settings stored on a conversation
+ * @param {Object} conversation - Conversation record (optional)
+ * @returns {Object} - { temperature, maxOutputTokens, verbosity }
+ */
+const getConversationSettings = (conversation) => {
+  const settings = { ...DEFAULT_SETTINGS };
+  if (!conversation) {
+    return settings;
+  }
+
+  for (const [name, option] of Object.entries(SETTING_OPTIONS)) {
+    const value = conversation[option.column];
+    if (value !== null && value !== undefined) {
+      settings[name] = value;
+    }
+  }
+  return settings;
+};
+
+/**
+ * Find one of the offered choices for a setting
+ * @param {string} name - Setting name (key of SETTING_OPTIONS)
+ * @param {string} rawValue - Value as received, e.g. from callback data
+ * @returns {Object|null} - { label, value } or null when not offered
+ */
+const findChoice = (name, rawValue) => {
+  const option = SETTING_OPTIONS[name];
+  if (!option) {
+    return null;
+  }
+  return option.choices.find(choice => String(choice.value) === String(rawValue)) || null;
+};
+
+/**
+ * Get the system instruction addition for a verbosity level
+ * @param {string} verbosity - Verbosity level
+ * @returns {string|null} - Instruction text, or null for normal verbosity
+ */
+const getVerbosityInstruction = (verbosity) => VERBOSITY_INSTRUCTIONS[verbosity] || null;
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  SETTING_OPTIONS,
+  getConversationSettings,
+  findChoice,
+  getVerbosityInstruction
+};
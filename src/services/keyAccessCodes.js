@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const { cache } = require('../utils/cache');
+const logger = require('../utils/logger');
+
+// How long an access code can be used after /setkeys code
+const ACCESS_CODE_TTL_MS = 10 * 60 * 1000;
+
+// No 0/O or 1/I, so codes can be typed from a screenshot
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 10;
+
+// Why a code was refused
+const ACCESS_CODE_FAILURES = {
+  MISSING: 'missing',
+  UNKNOWN: 'unknown_or_expired',
+  WRONG_CHAT: 'wrong_chat'
+};
+
+/**
+ * Normalise a code as typed (case, dashes and spaces don't matter)
+ * @param {string} code - Code as received
+ * @returns {string}
+ */
+const normalizeCode = (code) => String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Codes are stored by hash, so the cache never holds a usable code
+ * @param {string} code - Normalised code
+ * @returns {string} - Cache key
+ */
+const codeCacheKey = (code) => cache.generateKey('key_access', crypto.createHash('sha256').update(code).digest('hex'));
+
+const chatCacheKey = (telegramChatId) => cache.generateKey('key_access_chat', String(telegramChatId));
+
+/**
+ * Issue a one-time code proving ownership of a chat to the /api/keys routes.
+ * A new code replaces the chat's previous one.
+ * @param {number|string} telegramChatId - Chat the code is for
+ * @returns {Object} - { code, expiresAt }
+ */
+const issueAccessCode = (telegramChatId) => {
+  const previous = cache.get(chatCacheKey(telegramChatId));
+  if (previous) {
+    cache.delete(previous);
+  }
+
+  const raw = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+  const key = codeCacheKey(raw);
+  cache.set(key, { telegramChatId: String(telegramChatId) }, ACCESS_CODE_TTL_MS);
+  cache.set(chatCacheKey(telegramChatId), key, ACCESS_CODE_TTL_MS);
+
+  logger.info(`🔐 Issued key access code for chat ${telegramChatId}`);
+  return {
+    code: `${raw.slice(0, CODE_LENGTH / 2)}-${raw.slice(CODE_LENGTH / 2)}`,
+    expiresAt: new Date(Date.now() + ACCESS_CODE_TTL_MS)
+  };
+};
+
+// Forget a code and the chat's pointer to it
+const revokeCode = (key, entry) => {
+  cache.delete(key);
+  cache.delete(chatCacheKey(entry.telegramChatId));
+};
+
+/**
+ * Look up a code for a chat. A code presented for the wrong chat is burned,
+ * so a leaked code cannot be retried against other chats.
+ * @param {string} code - Code from the request
+ * @param {number|string} telegramChatId - Chat the request acts on
+ * @returns {Object} - { valid, reason, key, entry } with reason from ACCESS_CODE_FAILURES
+ */
+const checkCode = (code, telegramChatId) => {
+  if (!code) {
+    return { valid: false, reason: ACCESS_CODE_FAILURES.MISSING };
+  }
+
+  const key = codeCacheKey(normalizeCode(code));
+  const entry = cache.get(key);
+  if (!entry) {
+    return { valid: false, reason: ACCESS_CODE_FAILURES.UNKNOWN };
+  }
+
+  if (entry.telegramChatId !== String(telegramChatId)) {
+    revokeCode(key, entry);
+    return { valid: false, reason: ACCESS_CODE_FAILURES.WRONG_CHAT };
+  }
+  return { valid: true, reason: null, key, entry };
+};
+
+/**
+ * Check a code for a chat without using it up, so a request can be validated
+ * before the code is spent
+ * @param {string} code - Code from the request
+ * @param {number|string} telegramChatId - Chat the request acts on
+ * @returns {Object} - { valid, reason }
+ */
+const verifyAccessCode = (code, telegramChatId) => {
+  const { valid, reason } = checkCode(code, telegramChatId);
+  return { valid, reason };
+};
+
+/**
+ * Check a code for a chat and use it up
+ * @param {string} code - Code from the request
+ * @param {number|string} telegramChatId - Chat the request acts on
+ * @returns {Object} - { valid, reason }
+ */
+const consumeAccessCode = (code, telegramChatId) => {
+  const { valid, reason, key, entry } = checkCode(code, telegramChatId);
+  if (valid) {
+    revokeCode(key, entry);
+  }
+  return { valid, reason };
+};
+
+module.exports = {
+  ACCESS_CODE_TTL_MS,
+  ACCESS_CODE_FAILURES,
+  issueAccessCode,
+  verifyAccessCode,
+  consumeAccessCode
+};
@@ -0,0 +1,185 @@
+const logger = require('../utils/logger');
+const databaseService = require('./database');
+const { isValidGeminiApiKey, isValidE2BApiKey, activateUserKeys } = require('./apiKeys');
+const { KEY_STATUS, verifyGeminiKey, verifyE2BKey } = require('./keyVerification');
+const { issueAccessCode } = require('./keyAccessCodes');
+
+// How long the Gemini key is held while waiting for the E2B key
+const PENDING_KEY_TTL_MS = 10 * 60 * 1000;
+
+// Gemini keys waiting for the E2B key, by chat ID. They are kept in memory
+// only, never in ctx.session, so plaintext keys don't reach the database.
+const pendingGeminiKeys = new Map();
+
+const GEMINI_KEY_PROMPT = `🔑 **Set up your personal API keys** (step 1 of 2)
+
+Send me your **Gemini API key**. It starts with \`AIza\` and is 39 characters long.
+Get one at https://aistudio.google.com/app/apikey
+
+🔒 I delete your message as soon as I've read it. Send /cancel to stop.`;
+
+const E2B_KEY_PROMPT = `✅ Gemini key received.
+
+**Step 2 of 2:** send your **E2B API key**. It starts with \`e2b_\` and is 45 characters long.
+Get one at https://e2b.dev/dashboard
+
+Send /cancel to stop.`;
+
+/**
+ * Explain why a key failed its live check
+ * @param {string} service - "Gemini" or "E2B"
+ * @param {string} status - KEY_STATUS value
+ * @returns {string} - Reply text
+ */
+const describeVerificationFailure = (service, status) => {
+  switch (status) {
+    case KEY_STATUS.QUOTA_EXHAUSTED:
+      return `⚠️ This ${service} key works but has no quota left. Send a different key, or /cancel.`;
+    case KEY_STATUS.NETWORK_ERROR:
+      return `⚠️ I couldn't reach ${service} to check this key. Please send it again in a moment, or /cancel.`;
+    default:
+      return `❌ ${service} rejected this key. Please check it and send it again, or /cancel.`;
+  }
+};
+
+// Reply to key commands sent in groups, where other members would see the keys or codes
+const privateChatOnly = (command) => `🔒 For your security, API keys can only be managed in a private chat. Open a private chat with me and send ${command} there.`;
+
+/**
+ * Start the key setup wizard for the chat. Keys are only collected in private
+ * chats, where nobody else can see or send them.
+ * @param {Object} ctx - Telegraf context with ctx.session
+ * @returns {Promise<boolean>} - Whether the wizard was started
+ */
+const startKeySetup = async (ctx) => {
+  if (ctx.chat.type !== 'private') {
+    await ctx.reply(privateChatOnly('/setkeys'));
+    return false;
+  }
+
+  pendingGeminiKeys.delete(ctx.chat.id);
+  ctx.session = { ...ctx.session, keySetup: { step: 'gemini', startedBy: ctx.from.id } };
+  await ctx.replyWithMarkdown(GEMINI_KEY_PROMPT);
+  return true;
+};
+
+/**
+ * Reply with a one-time code for the /api/keys routes (/setkeys code).
+ * Codes are only issued in private chats, so nobody else sees them.
+ * @param {Object} ctx - Telegraf context
+ * @returns {Promise<boolean>} - Whether a code was issued
+ */
+const sendAccessCode = async (ctx) => {
+  if (ctx.chat.type !== 'private') {
+    await ctx.reply(privateChatOnly('/setkeys code'));
+    return false;
+  }
+
+  const { code } = issueAccessCode(ctx.chat.id);
+  await ctx.replyWithMarkdown(`🔐 Your one-time code for the keys API:\n\n\`${code}\`\n\nSend it as \`access_code\` together with \`telegram_chat_id\` ${ctx.chat.id}. It works once and expires in 10 minutes. Don't share it.`);
+  return true;
+};
+
+/**
+ * Stop the wizard and forget any key received so far
+ * @param {Object} ctx - Telegraf context with ctx.session
+ * @returns {boolean} - Whether a wizard was running
+ */
+const cancelKeySetup = (ctx) => {
+  pendingGeminiKeys.delete(ctx.chat.id);
+  if (!ctx.session?.keySetup) {
+    return false;
+  }
+
+  const { keySetup, ...rest } = ctx.session;
+  ctx.session = Object.keys(rest).length > 0 ? rest : null;
+  return true;
+};
+
+/**
+ * Delete a message that contains a key. Failures (e.g. missing rights in a
+ * group) are logged and the user is asked to delete it themselves.
+ * @param {Object} ctx - Telegraf context
+ */
+const deleteKeyMessage = async (ctx) => {
+  try {
+    await ctx.deleteMessage();
+  } catch (error) {
+    logger.warn(`Could not delete API key message in chat ${ctx.chat.id}: ${error.message}`);
+    await ctx.reply('⚠️ I could not delete your message. Please delete it yourself, it contains an API key.');
+  }
+};
+
+/**
+ * Handle a text message while the wizard is running. Only messages from the
+ * user who started the wizard are consumed; everyone else's pass through.
+ * @param {Object} ctx - Telegraf context with ctx.session
+ * @returns {Promise<boolean>} - Whether the message was consumed by the wizard
+ */
+const handleKeySetupMessage = async (ctx) => {
+  const keySetup = ctx.session?.keySetup;
+  const text = ctx.message?.text;
+  if (!keySetup || !text || text.startsWith('/') || keySetup.startedBy !== ctx.from?.id) {
+    return false;
+  }
+
+  await deleteKeyMessage(ctx);
+  const key = text.trim();
+
+  if (keySetup.step === 'gemini') {
+    if (!isValidGeminiApiKey(key)) {
+      await ctx.reply('❌ That doesn\'t look like a Gemini API key (39 characters, starting with "AIza"). Please send it again, or /cancel.');
+      return true;
+    }
+
+    const verification = await verifyGeminiKey(key);
+    if (verification.status !== KEY_STATUS.VALID) {
+      await ctx.reply(describeVerificationFailure('Gemini', verification.status));
+      return true;
+    }
+
+    pendingGeminiKeys.set(ctx.chat.id, { key, expiresAt: Date.now() + PENDING_KEY_TTL_MS });
+    ctx.session = { ...ctx.session, keySetup: { ...keySetup, step: 'e2b' } };
+    await ctx.replyWithMarkdown(E2B_KEY_PROMPT);
+    return true;
+  }
+
+  const pending = pendingGeminiKeys.get(ctx.chat.id);
+  if (!pending || pending.expiresAt <= Date.now()) {
+    // The Gemini key expired or was lost in a restart
+    await startKeySetup(ctx);
+    return true;
+  }
+
+  if (!isValidE2BApiKey(key)) {
+    await ctx.reply('❌ That doesn\'t look like an E2B API key (45 characters, starting with "e2b_"). Please send it again, or /cancel.');
+    return true;
+  }
+
+  const verification = await verifyE2BKey(key);
+  if (verification.status !== KEY_STATUS.VALID) {
+    await ctx.reply(describeVerificationFailure('E2B', verification.status));
+    return true;
+  }
+
+  const user = await databaseService.findUserByTelegramId(ctx.chat.id);
+  if (!user) {
+    cancelKeySetup(ctx);
+    await ctx.reply('Please send /start first, then /setkeys again.');
+    return true;
+  }
+
+  await activateUserKeys(user, pending.key, key);
+  cancelKeySetup(ctx);
+
+  await ctx.reply('🎉 Your API keys are saved and encrypted. Your account is now on the BASIC tier.\n\nYou can remove them anytime with /revoke.');
+  logger.info(`User ${ctx.chat.id} activated API keys via /setkeys`);
+  return true;
+};
+
+module.exports = {
+  startKeySetup,
+  sendAccessCode,
+  cancelKeySetup,
+  handleKeySetupMessage
+};
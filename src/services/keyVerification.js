@@ -0,0 +1,95 @@
+const logger = require('../utils/logger');
+const { getProvider } = require('./providers');
+const e2b = require('./e2b');
+
+// Outcome of a live key check
+const KEY_STATUS = {
+  VALID: 'valid',
+  INVALID: 'invalid',
+  QUOTA_EXHAUSTED: 'quota_exhausted',
+  NETWORK_ERROR: 'network_error'
+};
+
+const STATUS_MESSAGES = {
+  [KEY_STATUS.VALID]: 'Key is valid',
+  [KEY_STATUS.INVALID]: 'Key was rejected',
+  [KEY_STATUS.QUOTA_EXHAUSTED]: 'Key is valid but its quota is exhausted',
+  [KEY_STATUS.NETWORK_ERROR]: 'Could not reach the service to check the key'
+};
+
+/**
+ * Classify the error from a key check
+ * @param {Error} error - Error thrown by the client (axios error)
+ * @returns {string} - KEY_STATUS value
+ */
+const classifyKeyError = (error) => {
+  const status = error.response?.status;
+  if (!status || status >= 500) {
+    return KEY_STATUS.NETWORK_ERROR;
+  }
+  // 402 is what billing-limited accounts get from some APIs;
+  // Google APIs report exhausted quota as RESOURCE_EXHAUSTED
+  if (status === 429 || status === 402 || error.response.data?.error?.status === 'RESOURCE_EXHAUSTED') {
+    return KEY_STATUS.QUOTA_EXHAUSTED;
+  }
+  return KEY_STATUS.INVALID;
+};
+
+/**
+ * Run one key check and turn its outcome into a result
+ * @param {string} service - Service name for logs
+ * @param {Function} check - Async function that rejects if the key is refused
+ * @returns {Promise<Object>} - { status, message }
+ */
+const runCheck = async (service, check) => {
+  try {
+    await check();
+    return { status: KEY_STATUS.VALID, message: STATUS_MESSAGES[KEY_STATUS.VALID] };
+  } catch (error) {
+    const status = classifyKeyError(error);
+    const detail = error.response?.data?.error?.message || error.response?.data?.message || error.message;
+    logger.warn(`${service} key check failed (${status}): ${detail}`);
+    return { status, message: STATUS_MESSAGES[status] };
+  }
+};
+
+/**
+ * Check a Gemini key with a one-token generation through the Gemini provider,
+ * so keys without quota left are reported as quota_exhausted
+ * @param {string} apiKey - Gemini API key
+ * @returns {Promise<Object>} - { status, message }
+ */
+const verifyGeminiKey = (apiKey) => runCheck('Gemini', () => getProvider('gemini').verifyApiKey(apiKey));
+
+/**
+ * Check an E2B key by listing its sandboxes through the sandbox client
+ * @param {string} apiKey - E2B API key
+ * @returns {Promise<Object>} - { status, message }
+ */
+const verifyE2BKey = (apiKey) => runCheck('E2B', () => e2b.listSandboxes(apiKey));
+
+/**
+ * Check a Gemini and an E2B key in parallel
+ * @param {Object} keys - { gemini, e2b }
+ * @returns {Promise<Object>} - { valid, gemini: { status, message }, e2b: { status, message } }
+ */
+const verifyApiKeys = async (keys) => {
+  const [geminiResult, e2bResult] = await Promise.all([
+    verifyGeminiKey(keys.gemini),
+    verifyE2BKey(keys.e2b)
+  ]);
+
+  return {
+    valid: geminiResult.status === KEY_STATUS.VALID && e2bResult.status === KEY_STATUS.VALID,
+    gemini: geminiResult,
+    e2b: e2bResult
+  };
+};
+
+module.exports = {
+  KEY_STATUS,
+  classifyKeyError,
+  verifyGeminiKey,
+  verifyE2BKey,
+  verifyApiKeys
+};
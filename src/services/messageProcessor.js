@@ -1,22 +1,41 @@
 const logger = require('../utils/logger');
 const errorHandler = require('../utils/errorHandler');
-const { processConversation } = require('./gemini');
+const { getProviderForUser, getActiveModel } = require('./providers');
 const { executeOperations } = require('./e2b');
-const systemPrompt = require('../prompts/systemPrompt');
+const sandboxSessions = require('./sandboxSessions');
 const config = require('../config/env');
 const databaseService = require('./database');
+const auth = require('../middleware/auth');
 const cache = require('../utils/cache');
+const { toConversationHistory, trimHistoryToBudget } = require('../utils/conversationHistory');
+const { getConversationSettings } = require('./generationSettings');
+
+// Longest string field of an operation result sent back to the model
+const MAX_FUNCTION_RESPONSE_CHARS = 20000;
+
+// Follow-up instructions for the agent loop
+const AGENT_CONTINUE_MESSAGE = 'Continue with the task if more operations are needed, otherwise summarize and explain the results.';
+const AGENT_LIMIT_MESSAGE = 'The step limit for this request has been reached, so no more operations can run. Summarize what was done, the current state, and what is left to do.';
 
 /**
  * Process a user message through the complete pipeline:
- * Authentication -> Database Integration -> Gemini AI -> E2B operations (if needed) -> response
+ * Authentication -> Database Integration -> LLM provider -> E2B operations (repeated while
+ * the model needs more steps, within the tier's iteration and time limits) -> response
  * @param {number} chatId - Telegram chat ID
  * @param {string} messageText - User's message text
  * @param {Object} user - Authenticated user object (optional)
  * @param {Array} conversationHistory - Previous messages (optional)
+ * @param {Object} options - Optional settings:
+ *   images: [{ mimeType, data }] attached to the message
+ *   onProgress: called with operation progress events from executeOperations,
+ *     with the agent loop iteration added
+ *   onText: stream model responses, called with the text of the current response so far
  * @returns {Promise<string>} - Final response to send to user
  */
-const processMessage = async (chatId, messageText, user = null, conversationHistory = []) => {
+const processMessage = async (chatId, messageText, user = null, conversationHistory = [], options = {}) => {
+  const images = options.images || [];
+  const onProgress = options.onProgress || null;
+  const onText = options.onText || null;
   const startTime = Date.now();
   let currentConversationHistory = [...conversationHistory];
   let conversation = null;
@@ -42,87 +61,72 @@ const processMessage = async (chatId, messageText, user = null, conversationHist
     validateInput(messageText);
 
     // Get API keys (user-specific or default)
-    let apiKeys = {
-      gemini: config.GEMINI_API_KEY,
-      e2b: config.E2B_API_KEY
-    };
+    const apiKeys = await resolveApiKeys(user);
 
-    if (user) {
-      try {
-        // Try to get cached keys first
-        let cachedKeys = await cache.getUserApiKeys(user.id);
-        
-        if (!cachedKeys) {
-          // Get from database
-          const dbKeys = await databaseService.getUserApiKeys(user.id);
-          if (dbKeys) {
-            // Cache the keys
-            await cache.setUserApiKeys(user.id, dbKeys);
-            cachedKeys = dbKeys;
-          }
-        }
-        
-        if (cachedKeys) {
-          if (cachedKeys.gemini) apiKeys.gemini = cachedKeys.gemini;
-          if (cachedKeys.e2b) apiKeys.e2b = cachedKeys.e2b;
-        }
-        
-        logger.info(`API keys configured for user ${user.id}: Gemini=${!!apiKeys.gemini}, E2B=${!!apiKeys.e2b}`);
-      } catch (error) {
-        logger.error('Error getting user API keys:', error);
-      }
+    // Continue from the stored conversation unless the caller passed its own history
+    if (conversation && currentConversationHistory.length === 0) {
+      currentConversationHistory = await loadConversationHistory(conversation.id);
     }
 
-    // Initialize conversation with system prompt
-    if (currentConversationHistory.length === 0) {
-      currentConversationHistory.push({
-        role: 'system',
-        content: systemPrompt
-      });
-    }
+    // Pick the LLM provider for this user
+    const provider = getProviderForUser(user);
+    const providerKey = apiKeys[provider.keyName];
+    const model = getActiveModel(user);
+    logger.info(`Using LLM provider: ${provider.name} (${model})`);
+
+    // Temperature, output length and verbosity chosen with /settings
+    const generation = getConversationSettings(conversation);
+
+    // Each request may run several rounds of operations, bounded per tier
+    const tierConfig = auth.getTierConfig(user || {});
+    const deadline = startTime + tierConfig.agentTimeBudgetMs;
+
+    // Step 1: Send message to the model with user's API key
+    // (the provider adds the system prompt)
+    logger.info('Calling LLM with API key...');
+    let modelResponse = await provider.processConversation(messageText, currentConversationHistory, providerKey, { images, onText, model, generation });
+    await logModelUsage(user, provider, modelResponse);
 
     // Add user message to conversation history
     currentConversationHistory.push({
       role: 'user',
-      content: messageText
+      content: messageText,
+      images
     });
-
-    // Step 1: Send message to Gemini AI with user's API key
-    logger.info('Calling Gemini AI with API key...');
-    const geminiResponse = await processConversation(messageText, currentConversationHistory, apiKeys.gemini);
-    
-    // Log Gemini usage if user provided
-    if (user && geminiResponse.tokensUsed) {
-      try {
-        await databaseService.logUsage(
-          user.id,
-          'gemini_request',
-          geminiResponse.tokensUsed,
-          true
-        );
-      } catch (error) {
-        logger.error('Error logging Gemini usage:', error);
-      }
-    }
     
     // Save user message to database
     if (conversation) {
       try {
-        await databaseService.saveMessage(conversation.id, 'USER', messageText, geminiResponse.tokensUsed);
+        const savedText = images.length > 0 ? `${messageText}\n\n[${images.length} image(s) attached]` : messageText;
+        await databaseService.saveMessage(conversation.id, 'USER', savedText, modelResponse.usage.promptTokens);
       } catch (error) {
         logger.error('Error saving user message:', error);
       }
     }
+
+    let finalText = modelResponse.response;
+    let iterations = 0;
+    let limitReached = false;
     
-    // Step 2: Check if operations need to be executed
-    if (geminiResponse.operations && geminiResponse.operations.length > 0) {
-      logger.info(`Found ${geminiResponse.operations.length} operations to execute`);
-      logger.info(`Operations received from Gemini: ${JSON.stringify(geminiResponse.operations, null, 2)}`);
-      logger.info(`E2B API Key check (first 10 chars): ${apiKeys.e2b?.substring(0, 10) || 'NONE'}...`);
+    // Step 2: Agent loop - execute operations and feed the results back
+    // until the model reports "complete" or "error", or the budget runs out
+    while (modelResponse.operations && modelResponse.operations.length > 0) {
+      iterations++;
+      logger.info(`Agent iteration ${iterations}/${tierConfig.maxAgentIterations}: ${modelResponse.operations.length} operations to execute`);
+      logger.info(`Operations received from ${provider.name}: ${JSON.stringify(modelResponse.operations, null, 2)}`);
       
-      // Execute operations in E2B sandbox with user's API key
-      logger.info(`Calling executeOperations with ${geminiResponse.operations.length} operations...`);
-      const operationResults = await executeOperations(geminiResponse.operations, apiKeys.e2b);
+      // Execute operations in the conversation's sandbox with user's API key
+      const threadId = `telegram_${chatId}`;
+      const sandboxId = await sandboxSessions.acquire(threadId, apiKeys.e2b);
+      let operationResults;
+      try {
+        operationResults = await executeOperations(modelResponse.operations, apiKeys.e2b, {
+          sandboxId,
+          onProgress: onProgress && (event => onProgress({ ...event, iteration: iterations }))
+        });
+      } finally {
+        sandboxSessions.release(threadId, sandboxId);
+      }
       
       // Log E2B usage
       if (user) {
@@ -139,74 +143,79 @@ const processMessage = async (chatId, messageText, user = null, conversationHist
           logger.error('Error logging E2B usage:', error);
         }
       }
-      
-      // Step 3: If status is "in_progress", send results back to Gemini
-      if (geminiResponse.status === 'in_progress') {
-        const resultsText = formatOperationResults(operationResults);
-        
-        // Add current exchange to conversation history
+
+      // Operations sent with status "complete" or "error" need no follow-up
+      if (modelResponse.status !== 'in_progress') {
+        break;
+      }
+
+      limitReached = iterations >= tierConfig.maxAgentIterations || Date.now() >= deadline;
+      if (limitReached) {
+        logger.warn(`Agent loop for chat ${chatId} stopped after ${iterations} iterations (${Date.now() - startTime}ms)`);
+      }
+
+      // Step 3: Send results back to the model
+      logger.info('Sending operation results back to the model...');
+      let followUpMessage;
+      if (modelResponse.toolCalls) {
+        // Answer the function calls with functionResponse parts
         currentConversationHistory.push({
           role: 'assistant',
-          content: JSON.stringify(geminiResponse)
+          content: modelResponse.response,
+          toolCalls: modelResponse.toolCalls
         });
         currentConversationHistory.push({
-          role: 'user',
-          content: `Here are the results of the operations:\n${resultsText}`
+          role: 'tool',
+          results: modelResponse.toolCalls.map((call, index) => ({
+            id: call.id,
+            name: call.name,
+            response: toFunctionResponse(operationResults[index])
+          }))
+        });
+        followUpMessage = limitReached ? AGENT_LIMIT_MESSAGE : null;
+      } else {
+        // Add current exchange to conversation history
+        currentConversationHistory.push({
+          role: 'assistant',
+          content: JSON.stringify({
+            response: modelResponse.response,
+            operations: modelResponse.operations,
+            status: modelResponse.status
+          })
         });
+        followUpMessage = `Here are the results of the operations:\n${formatOperationResults(operationResults)}\n\n${limitReached ? AGENT_LIMIT_MESSAGE : AGENT_CONTINUE_MESSAGE}`;
+      }
 
-        // Get final response from Gemini
-        logger.info('Getting final response from Gemini with operation results...');
-        const finalResponse = await processConversation(
-          'Please summarize and explain the operation results.', 
-          currentConversationHistory,
-          apiKeys.gemini
-        );
-        
-        // Save assistant response to database
-        if (conversation) {
-          try {
-            await databaseService.saveMessage(conversation.id, 'ASSISTANT', finalResponse.response || geminiResponse.response, finalResponse.tokensUsed);
-          } catch (error) {
-            logger.error('Error saving assistant message:', error);
-          }
-        }
-        
-        const processingTime = Date.now() - startTime;
-        logger.info(`Message processing completed in ${processingTime}ms`);
-        
-        return finalResponse.response || geminiResponse.response;
+      modelResponse = await provider.processConversation(followUpMessage, currentConversationHistory, providerKey, { allowOperations: !limitReached, onText, model, generation });
+      await logModelUsage(user, provider, modelResponse);
+
+      if (followUpMessage !== null) {
+        currentConversationHistory.push({ role: 'user', content: followUpMessage });
       }
-      
-      // If status is complete, return the original response
-      const processingTime = Date.now() - startTime;
-      logger.info(`Message processing completed in ${processingTime}ms`);
-      
-      // Save assistant response to database
-      if (conversation) {
-        try {
-          await databaseService.saveMessage(conversation.id, 'ASSISTANT', geminiResponse.response, geminiResponse.tokensUsed);
-        } catch (error) {
-          logger.error('Error saving assistant message:', error);
-        }
+      if (modelResponse.response) {
+        finalText = modelResponse.response;
+      }
+      if (limitReached) {
+        break;
       }
-      
-      return geminiResponse.response;
     }
 
-    // Step 4: If no operations, return Gemini's response directly
-    const processingTime = Date.now() - startTime;
-    logger.info(`Message processing completed in ${processingTime}ms`);
-    
-    // Save assistant response to database
+    // Step 4: Save and return the final response
     if (conversation) {
       try {
-        await databaseService.saveMessage(conversation.id, 'ASSISTANT', geminiResponse.response, geminiResponse.tokensUsed);
+        await databaseService.saveMessage(conversation.id, 'ASSISTANT', finalText, modelResponse.usage.responseTokens);
       } catch (error) {
         logger.error('Error saving assistant message:', error);
       }
     }
-    
-    return geminiResponse.response;
+
+    const processingTime = Date.now() - startTime;
+    logger.info(`Message processing completed in ${processingTime}ms after ${iterations} agent iterations`);
+
+    if (limitReached) {
+      return `${finalText}\n\n⏱️ Stopped after ${iterations} step(s), the limit for your ${user?.tier || 'FREE'} plan. Send another message to continue.`;
+    }
+    return finalText;
 
   } catch (error) {
     const processingTime = Date.now() - startTime;
@@ -234,6 +243,100 @@ const processMessage = async (chatId, messageText, user = null, conversationHist
   }
 };
 
+/**
+ * Log the tokens used by a model call
+ * @param {Object} user - Authenticated user object (optional)
+ * @param {Object} provider - LLM provider that handled the call
+ * @param {Object} modelResponse - Response from processConversation
+ */
+const logModelUsage = async (user, provider, modelResponse) => {
+  if (!user || !modelResponse.tokensUsed) {
+    return;
+  }
+
+  try {
+    await databaseService.logUsage(user.id, `${provider.name}_request`, modelResponse.tokensUsed, true);
+  } catch (error) {
+    logger.error('Error logging model usage:', error);
+  }
+};
+
+/**
+ * Load the recent messages of a conversation as history, trimmed to the token budget
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Array>} - [{ role, content }] in chronological order
+ */
+const loadConversationHistory = async (conversationId) => {
+  try {
+    const messages = await databaseService.getRecentMessages(conversationId, config.HISTORY_MESSAGE_LIMIT);
+    const history = trimHistoryToBudget(toConversationHistory(messages), config.HISTORY_TOKEN_BUDGET);
+    logger.info(`Loaded ${history.length}/${messages.length} stored messages into conversation history`);
+    return history;
+  } catch (error) {
+    logger.error('Error loading conversation history:', error);
+    return [];
+  }
+};
+
+/**
+ * Resolve the API keys to use for a user, falling back to the default keys
+ * @param {Object} user - Authenticated user object (optional)
+ * @returns {Promise<Object>} - { gemini, e2b, openai }
+ */
+const resolveApiKeys = async (user) => {
+  const apiKeys = {
+    gemini: config.GEMINI_API_KEY,
+    e2b: config.E2B_API_KEY,
+    openai: config.OPENAI_API_KEY
+  };
+
+  if (user) {
+    try {
+      // Try to get cached keys first
+      let cachedKeys = await cache.getUserApiKeys(user.id);
+      
+      if (!cachedKeys) {
+        // Get from database
+        const dbKeys = await databaseService.getUserApiKeys(user.id);
+        if (dbKeys) {
+          // Cache the keys
+          cachedKeys = { gemini: dbKeys.geminiKey, e2b: dbKeys.e2bKey };
+          await cache.setUserApiKeys(user.id, cachedKeys);
+        }
+      }
+      
+      if (cachedKeys) {
+        if (cachedKeys.gemini) apiKeys.gemini = cachedKeys.gemini;
+        if (cachedKeys.e2b) apiKeys.e2b = cachedKeys.e2b;
+      }
+      
+      logger.info(`API keys configured for user ${user.id}: Gemini=${!!apiKeys.gemini}, E2B=${!!apiKeys.e2b}`);
+    } catch (error) {
+      logger.error('Error getting user API keys:', error);
+    }
+  }
+
+  return apiKeys;
+};
+
+/**
+ * Convert an operation result into a tool response payload for the model,
+ * capping long outputs so a single result cannot flood the context
+ * @param {Object} result - Operation result from executeOperations
+ * @returns {Object} - Function response
+ */
+const toFunctionResponse = (result) => {
+  const response = {};
+
+  for (const [key, value] of Object.entries(result || {})) {
+    response[key] = typeof value === 'string' && value.length > MAX_FUNCTION_RESPONSE_CHARS
+      ? `${value.substring(0, MAX_FUNCTION_RESPONSE_CHARS)}\n... (truncated, ${value.length} characters total)`
+      : value;
+  }
+
+  return response;
+};
+
 /**
  * Format operation results for display to user
  * @param {Array} results - Array of operation results
@@ -361,6 +464,9 @@ const validateInput = (messageText) => {
 
 module.exports = {
   processMessage,
+  loadConversationHistory,
+  resolveApiKeys,
+  toFunctionResponse,
   formatOperationResults,
   extractOperations,
   handleTimeout,
@@ -0,0 +1,25 @@
+const config = require('../../config/env');
+const { processConversation, verifyApiKey } = require('../gemini');
+
+/**
+ * Google Gemini provider (generateContent / streamGenerateContent)
+ */
+module.exports = {
+  name: 'gemini',
+  keyName: 'gemini',
+  processConversation,
+  verifyApiKey,
+
+  /**
+   * Models a tier may choose from
+   * @param {Object} tierConfig - Tier config from auth.getTierConfig
+   * @returns {Array<string>}
+   */
+  listModels: (tierConfig) => tierConfig.models,
+
+  /**
+   * Model used when the user has not picked one
+   * @returns {string}
+   */
+  defaultModel: () => config.GEMINI_MODEL
+};
@@ -0,0 +1,87 @@
+const config = require('../../config/env');
+const errorHandler = require('../../utils/errorHandler');
+const auth = require('../../middleware/auth');
+const geminiProvider = require('./gemini');
+const openaiProvider = require('./openai');
+
+/**
+ * LLM providers answer conversations and request sandbox operations.
+ * Each provider implements:
+ *   name: provider name
+ *   keyName: which entry of resolveApiKeys() it authenticates with
+ *   processConversation(userMessage, conversationHistory, apiKey, options)
+ *     => Promise<{ response, operations, toolCalls, status, tokensUsed, usage }>
+ *   verifyApiKey(apiKey) => Promise that rejects (with the axios error) if the key is refused
+ *   listModels(tierConfig) => models the tier may choose from
+ *   defaultModel() => model used when the user has not picked one
+ * with the same history format, options and result shape as gemini.js.
+ */
+const providers = new Map();
+
+/**
+ * Register (or replace) an LLM provider
+ * @param {Object} provider - Provider implementation
+ */
+const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Get an LLM provider by name
+ * @param {string} name - Provider name (defaults to LLM_PROVIDER)
+ * @returns {Object} - LLM provider
+ */
+const getProvider = (name = config.LLM_PROVIDER) => {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw errorHandler.createError(`Unknown LLM provider: ${name}`, 'LLM Provider');
+  }
+  return provider;
+};
+
+/**
+ * Pick the provider for a user: the user's own choice, then their tier's,
+ * then the LLM_PROVIDER default
+ * @param {Object} user - Authenticated user object (optional)
+ * @returns {Object} - LLM provider
+ */
+const getProviderForUser = (user) => {
+  const tierProvider = user ? auth.getTierConfig(user).llmProvider : null;
+  return getProvider(user?.llm_provider || tierProvider || config.LLM_PROVIDER);
+};
+
+/**
+ * List the models a user may choose from with their provider and tier
+ * @param {Object} user - Authenticated user object
+ * @returns {Array<string>} - Model names
+ */
+const getAllowedModels = (user) => {
+  return getProviderForUser(user).listModels(auth.getTierConfig(user || {}));
+};
+
+/**
+ * Get the model to use for a user: their stored choice if their tier still
+ * allows it, otherwise the provider default, otherwise the tier's first model
+ * @param {Object} user - Authenticated user object (optional)
+ * @returns {string} - Model name
+ */
+const getActiveModel = (user) => {
+  const provider = getProviderForUser(user);
+  const allowed = provider.listModels(auth.getTierConfig(user || {}));
+
+  if (user?.preferred_model && allowed.includes(user.preferred_model)) {
+    return user.preferred_model;
+  }
+  return allowed.includes(provider.defaultModel()) ? provider.defaultModel() : allowed[0];
+};
+
+registerProvider(geminiProvider);
+registerProvider(openaiProvider);
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getProviderForUser,
+  getAllowedModels,
+  getActiveModel
+};
@@ -0,0 +1,290 @@
+const axios = require('axios');
+const config = require('../../config/env');
+const logger = require('../../utils/logger');
+const errorHandler = require('../../utils/errorHandler');
+const systemPrompt = require('../../prompts/systemPrompt');
+const operationTools = require('../../prompts/operationTools');
+const { readSseStream } = require('../../utils/sse');
+const { DEFAULT_SETTINGS, getVerbosityInstruction } = require('../generationSettings');
+
+/**
+ * Convert a Gemini-style schema (upper-case types) to JSON Schema
+ * @param {Object} schema - Parameter schema from operationTools
+ * @returns {Object} - JSON Schema
+ */
+const toJsonSchema = (schema) => {
+  const converted = { ...schema, type: schema.type.toLowerCase() };
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toJsonSchema(value)])
+    );
+  }
+  return converted;
+};
+
+// Sandbox operations as OpenAI tool definitions
+const OPENAI_TOOLS = operationTools.map(tool => ({
+  type: 'function',
+  function: {
+    name: tool.name,
+    description: tool.description,
+    parameters: toJsonSchema(tool.parameters)
+  }
+}));
+
+/**
+ * Build the content of a user message, with images as data URLs
+ * @param {string} text - Message text
+ * @param {Array} images - [{ mimeType, data }] with base64 data (optional)
+ * @returns {string|Array} - Message content
+ */
+const buildUserContent = (text, images = []) => {
+  if (images.length === 0) {
+    return text;
+  }
+
+  return [
+    { type: 'text', text },
+    ...images.map(image => ({
+      type: 'image_url',
+      image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+    }))
+  ];
+};
+
+/**
+ * Convert conversation history into chat completion messages
+ * @param {Array} history - History entries in the format used by gemini.buildContents
+ * @param {string} verbosity - Conversation verbosity setting (optional)
+ * @returns {Array} - Chat completion messages, starting with the system prompt
+ */
+const buildMessages = (history, verbosity = DEFAULT_SETTINGS.verbosity) => {
+  const instructions = [systemPrompt, getVerbosityInstruction(verbosity)].filter(Boolean);
+  const messages = [{ role: 'system', content: instructions.join('\n\n') }];
+
+  for (const message of history) {
+    if (message.role === 'tool') {
+      for (const result of message.results) {
+        messages.push({
+          role: 'tool',
+          tool_call_id: result.id,
+          content: JSON.stringify(result.response)
+        });
+      }
+    } else if (message.role === 'assistant') {
+      const entry = { role: 'assistant', content: message.content || null };
+      if (message.toolCalls && message.toolCalls.length > 0) {
+        entry.tool_calls = message.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.args) }
+        }));
+      }
+      messages.push(entry);
+    } else if (message.role === 'system') {
+      messages.push({ role: 'user', content: `[System note] ${message.content}` });
+    } else {
+      messages.push({ role: 'user', content: buildUserContent(message.content, message.images || []) });
+    }
+  }
+
+  return messages;
+};
+
+/**
+ * Parse tool call arguments, which arrive as a JSON string
+ * @param {string} args - Arguments JSON
+ * @returns {Object} - Parsed arguments
+ */
+const parseArguments = (args) => {
+  try {
+    return args ? JSON.parse(args) : {};
+  } catch (error) {
+    logger.warn(`Invalid tool call arguments: ${args}`);
+    return {};
+  }
+};
+
+/**
+ * Stream a chat completion and merge the deltas into one message
+ * @param {string} url - Chat completions URL
+ * @param {Object} requestBody - Request body
+ * @param {Object} headers - Request headers
+ * @param {Function} onText - Called with the text received so far
+ * @returns {Promise<Object>} - { message: { content, tool_calls }, usage }
+ */
+const streamCompletion = async (url, requestBody, headers, onText) => {
+  const response = await axios.post(url, { ...requestBody, stream: true, stream_options: { include_usage: true } }, {
+    headers,
+    responseType: 'stream',
+    timeout: 120000 // time to first byte; the stream itself may take longer
+  });
+
+  let content = '';
+  let usage = null;
+  const toolCalls = [];
+
+  await readSseStream(response.data, async (data) => {
+    if (data === '[DONE]') {
+      return;
+    }
+
+    const chunk = JSON.parse(data);
+    if (chunk.usage) {
+      usage = chunk.usage;
+    }
+
+    const delta = chunk.choices?.[0]?.delta || {};
+    for (const callDelta of delta.tool_calls || []) {
+      const call = toolCalls[callDelta.index] || (toolCalls[callDelta.index] = { id: null, type: 'function', function: { name: '', arguments: '' } });
+      if (callDelta.id) call.id = callDelta.id;
+      if (callDelta.function?.name) call.function.name += callDelta.function.name;
+      if (callDelta.function?.arguments) call.function.arguments += callDelta.function.arguments;
+    }
+
+    if (delta.content) {
+      content += delta.content;
+      try {
+        await onText(content);
+      } catch (error) {
+        logger.warn(`Streaming text callback failed: ${error.message}`);
+      }
+    }
+  });
+
+  return {
+    message: { content, tool_calls: toolCalls.filter(Boolean) },
+    usage
+  };
+};
+
+/**
+ * Call an OpenAI-compatible chat completions API with exponential backoff retry logic
+ * @param {Array} messages - Chat completion messages
+ * @param {string} apiKey - API key (optional for local servers)
+ * @param {Object} options - { allowOperations, onText, model, generation } (optional)
+ * @param {number} retries - Number of retry attempts (default: 3)
+ * @returns {Promise<Object>} - { message, usage }
+ */
+const callChatCompletions = async (messages, apiKey, options = {}, retries = 3) => {
+  const url = `${config.OPENAI_BASE_URL.replace(/\/+$/, '')}/chat/completions`;
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  const generation = { ...DEFAULT_SETTINGS, ...options.generation };
+  const requestBody = {
+    model: options.model || config.OPENAI_MODEL,
+    messages,
+    tools: OPENAI_TOOLS,
+    tool_choice: options.allowOperations === false ? 'none' : 'auto',
+    temperature: generation.temperature,
+    max_tokens: generation.maxOutputTokens
+  };
+
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    try {
+      logger.debug(`Calling OpenAI-compatible API (attempt ${attempt}/${retries}, ${messages.length} messages)`);
+
+      if (options.onText) {
+        return await streamCompletion(url, requestBody, headers, options.onText);
+      }
+
+      const response = await axios.post(url, requestBody, { headers, timeout: 30000 });
+      const message = response.data?.choices?.[0]?.message;
+      if (!message) {
+        throw new Error('Invalid response structure from OpenAI-compatible API');
+      }
+      return { message, usage: response.data.usage || null };
+
+    } catch (error) {
+      logger.error(`OpenAI-compatible API call failed (attempt ${attempt}/${retries})`, error);
+
+      const status = error.response?.status;
+      const retryable = !status || status === 429 || status >= 500;
+      if (attempt === retries || !retryable) {
+        const detail = error.response?.data?.error?.message || error.message;
+        throw errorHandler.createError(
+          status ? `OpenAI-compatible API error (${status}): ${detail}` : `Cannot reach OpenAI-compatible API: ${detail}`,
+          'OpenAI API Call'
+        );
+      }
+
+      const delay = Math.min(1000 * Math.pow(2, attempt - 1), 10000);
+      logger.warn(`Retrying OpenAI-compatible API call in ${delay}ms...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+};
+
+/**
+ * Process a conversation with an OpenAI-compatible chat completions API.
+ * Takes the same arguments and returns the same shape as gemini.processConversation.
+ * @param {string|null} userMessage - User's message, sent as the latest user turn (null to continue after tool results)
+ * @param {Array} conversationHistory - Previous turns, not including userMessage (optional)
+ * @param {string} apiKey - API key (optional, uses OPENAI_API_KEY if not provided)
+ * @param {Object} options - { images, allowOperations, onText, model, generation } (optional)
+ * @returns {Promise<Object>} - Response object with text, operations, tool calls and usage
+ */
+const processConversation = async (userMessage, conversationHistory = [], apiKey = null, options = {}) => {
+  try {
+    const history = [...conversationHistory];
+    if (userMessage !== null) {
+      history.push({ role: 'user', content: userMessage, images: options.images });
+    }
+
+    const { message, usage } = await callChatCompletions(buildMessages(history, options.generation?.verbosity), apiKey || config.OPENAI_API_KEY, options);
+    const result = {
+      response: message.content || '',
+      status: 'complete',
+      tokensUsed: usage ? usage.total_tokens : null,
+      usage: {
+        promptTokens: usage?.prompt_tokens || null,
+        responseTokens: usage?.completion_tokens || null
+      }
+    };
+
+    const toolCalls = (message.tool_calls || []).map(call => ({
+      id: call.id,
+      name: call.function.name,
+      args: parseArguments(call.function.arguments)
+    }));
+
+    if (toolCalls.length > 0) {
+      result.status = 'in_progress';
+      result.toolCalls = toolCalls;
+      result.operations = toolCalls.map(call => ({ ...call.args, type: call.name }));
+    }
+
+    return result;
+
+  } catch (error) {
+    logger.error('Failed to process conversation with OpenAI-compatible API:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check that an API key is accepted by listing the server's models.
+ * Errors are thrown as returned by axios.
+ * @param {string} apiKey - API key
+ */
+const verifyApiKey = async (apiKey) => {
+  await axios.get(`${config.OPENAI_BASE_URL.replace(/\/+$/, '')}/models`, {
+    headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+    timeout: 10000
+  });
+};
+
+module.exports = {
+  name: 'openai',
+  keyName: 'openai',
+  processConversation,
+  verifyApiKey,
+  buildMessages,
+
+  // The OpenAI-compatible server is configured with a single model
+  listModels: () => [config.OPENAI_MODEL],
+  defaultModel: () => config.OPENAI_MODEL
+};
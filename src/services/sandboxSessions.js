@@ -0,0 +1,287 @@
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const { createSandbox, deleteSandbox, keepAliveSandbox, listSandboxes } = require('./e2b');
+
+// Metadata tag that marks sandboxes created by this service
+const SANDBOX_APP_TAG = 'codebot';
+
+// Sandboxes younger than this are never reaped as orphans, so one that is
+// still being registered by a concurrent acquire() is left alone
+const ORPHAN_GRACE_PERIOD_MS = 5 * 60 * 1000;
+
+/**
+ * Keeps one live E2B sandbox per conversation thread so files and installed
+ * packages survive between Telegram messages.
+ *
+ * Sessions end after an idle timeout, after a maximum lifetime, or when
+ * destroyed explicitly. Sandboxes are created with an E2B-side timeout equal
+ * to the idle timeout, so they die on their own if this process goes away.
+ */
+
+class SandboxSessionManager {
+  constructor() {
+    this.sessions = new Map(); // threadId -> { sandboxId, apiKey, createdAt, lastUsedAt, inUse }
+    this.pending = new Map(); // threadId -> Promise<string> while a sandbox is being acquired
+    this.idleTimeoutMs = config.SANDBOX_IDLE_TIMEOUT_MINUTES * 60 * 1000;
+    this.maxLifetimeMs = config.SANDBOX_MAX_LIFETIME_MINUTES * 60 * 1000;
+    // Deployment tag, so the orphan reaper only touches this deployment's sandboxes
+    this.instanceId = config.SANDBOX_INSTANCE_ID;
+    this.orphanGracePeriodMs = ORPHAN_GRACE_PERIOD_MS;
+  }
+
+  /**
+   * Get the live sandbox for a thread, creating one if needed.
+   * Every acquire() must be paired with a release() once the caller is done
+   * with the sandbox; until then the session is not reaped.
+   * @param {String} threadId - Conversation thread ID
+   * @param {String} apiKey - E2B API key (optional, uses default if not provided)
+   * @returns {Promise<String>} - Sandbox ID
+   */
+  async acquire(threadId, apiKey = null) {
+    const apiKeyToUse = apiKey || config.E2B_API_KEY;
+    const sandboxId = await this.acquireShared(threadId, apiKeyToUse);
+
+    const session = this.sessions.get(threadId);
+    if (session && session.sandboxId === sandboxId) {
+      session.inUse++;
+    }
+    return sandboxId;
+  }
+
+  /**
+   * Resolve a thread's sandbox, sharing one lookup/creation between
+   * concurrent messages in the same thread
+   * @param {String} threadId - Conversation thread ID
+   * @param {String} apiKey - E2B API key
+   * @returns {Promise<String>} - Sandbox ID
+   */
+  async acquireShared(threadId, apiKey) {
+    if (this.pending.has(threadId)) {
+      return this.pending.get(threadId);
+    }
+
+    const acquisition = this.resolve(threadId, apiKey);
+    this.pending.set(threadId, acquisition);
+    try {
+      return await acquisition;
+    } finally {
+      this.pending.delete(threadId);
+    }
+  }
+
+  /**
+   * Mark one use of a thread's sandbox as finished. The idle timeout counts
+   * from here, so long operations don't make a session look idle.
+   * @param {String} threadId - Conversation thread ID
+   * @param {String} sandboxId - Sandbox returned by acquire()
+   */
+  release(threadId, sandboxId) {
+    const session = this.sessions.get(threadId);
+    // The session may have been reset or replaced while the sandbox was in use
+    if (session && session.sandboxId === sandboxId && session.inUse > 0) {
+      session.inUse--;
+      session.lastUsedAt = Date.now();
+    }
+  }
+
+  /**
+   * Check whether a thread's sandbox is being acquired or used
+   * @param {String} threadId - Conversation thread ID
+   * @returns {boolean}
+   */
+  isInUse(threadId) {
+    const session = this.sessions.get(threadId);
+    return this.pending.has(threadId) || Boolean(session && session.inUse > 0);
+  }
+
+  /**
+   * Reuse the thread's sandbox if it is still usable, otherwise replace it
+   * @param {String} threadId - Conversation thread ID
+   * @param {String} apiKey - E2B API key
+   * @returns {Promise<String>} - Sandbox ID
+   */
+  async resolve(threadId, apiKey) {
+    const session = this.sessions.get(threadId);
+
+    if (session) {
+      if (session.apiKey !== apiKey) {
+        logger.info(`🔑 API key changed for ${threadId}, replacing sandbox ${session.sandboxId}`);
+        await this.destroy(threadId);
+      } else if (this.isExpired(session) && session.inUse === 0) {
+        logger.info(`⏰ Sandbox ${session.sandboxId} for ${threadId} expired, replacing it`);
+        await this.destroy(threadId);
+      } else if (await keepAliveSandbox(session.sandboxId, Math.ceil(this.idleTimeoutMs / 1000))) {
+        session.lastUsedAt = Date.now();
+        logger.info(`♻️ Reusing sandbox ${session.sandboxId} for ${threadId}`);
+        return session.sandboxId;
+      } else {
+        logger.warn(`⚠️ Sandbox ${session.sandboxId} for ${threadId} is gone, creating a new one`);
+        this.sessions.delete(threadId);
+      }
+    }
+
+    return this.create(threadId, apiKey);
+  }
+
+  /**
+   * Create and register a sandbox for a thread
+   * @param {String} threadId - Conversation thread ID
+   * @param {String} apiKey - E2B API key
+   * @returns {Promise<String>} - Sandbox ID
+   */
+  async create(threadId, apiKey) {
+    const sandboxId = await createSandbox(apiKey, {
+      timeout: Math.ceil(this.idleTimeoutMs / 1000),
+      metadata: { app: SANDBOX_APP_TAG, instance: this.instanceId, threadId }
+    });
+
+    const now = Date.now();
+    this.sessions.set(threadId, { sandboxId, apiKey, createdAt: now, lastUsedAt: now, inUse: 0 });
+    logger.info(`📦 Sandbox ${sandboxId} started for ${threadId}`);
+    return sandboxId;
+  }
+
+  /**
+   * Get session info for a thread without touching it
+   * @param {String} threadId - Conversation thread ID
+   * @returns {Object|null}
+   */
+  getSession(threadId) {
+    return this.sessions.get(threadId) || null;
+  }
+
+  /**
+   * Check whether a session passed its idle timeout or maximum lifetime
+   * @param {Object} session - Session info
+   * @param {Number} now - Current timestamp
+   * @returns {boolean}
+   */
+  isExpired(session, now = Date.now()) {
+    return now - session.lastUsedAt > this.idleTimeoutMs ||
+      now - session.createdAt > this.maxLifetimeMs;
+  }
+
+  /**
+   * Destroy the sandbox for a thread
+   * @param {String} threadId - Conversation thread ID
+   * @returns {Promise<boolean>} - True if a sandbox was destroyed
+   */
+  async destroy(threadId) {
+    const session = this.sessions.get(threadId);
+    if (!session) {
+      return false;
+    }
+
+    this.sessions.delete(threadId);
+    await deleteSandbox(session.sandboxId);
+    logger.info(`🗑️ Sandbox ${session.sandboxId} destroyed for ${threadId}`);
+    return true;
+  }
+
+  /**
+   * Destroy sessions past their idle timeout or maximum lifetime.
+   * Sessions in use are left for a later run.
+   * @returns {Promise<Number>} - Number of sandboxes destroyed
+   */
+  async reapExpired() {
+    const now = Date.now();
+    let reaped = 0;
+
+    for (const [threadId, session] of this.sessions.entries()) {
+      if (this.isExpired(session, now) && !this.isInUse(threadId)) {
+        await this.destroy(threadId);
+        reaped++;
+      }
+    }
+
+    if (reaped > 0) {
+      logger.info(`🧹 Reaped ${reaped} expired sandboxes`);
+    }
+    return reaped;
+  }
+
+  /**
+   * Check whether a sandbox belongs to a live or in-progress session
+   * @param {Object} sandbox - { sandboxId, metadata }
+   * @returns {boolean}
+   */
+  isTracked(sandbox) {
+    if (this.pending.has(sandbox.metadata.threadId)) {
+      return true;
+    }
+    return [...this.sessions.values()].some(session => session.sandboxId === sandbox.sandboxId);
+  }
+
+  /**
+   * Check whether a listed sandbox is an orphan of this deployment: tagged with
+   * our instance ID, untracked, and older than the grace period
+   * @param {Object} sandbox - { sandboxId, metadata, startedAt }
+   * @param {Number} now - Current timestamp
+   * @returns {boolean}
+   */
+  isOrphan(sandbox, now = Date.now()) {
+    const startedAt = Date.parse(sandbox.startedAt);
+    return sandbox.metadata.app === SANDBOX_APP_TAG &&
+      sandbox.metadata.instance === this.instanceId &&
+      Number.isFinite(startedAt) && now - startedAt > this.orphanGracePeriodMs &&
+      !this.isTracked(sandbox);
+  }
+
+  /**
+   * Kill sandboxes tagged by this deployment that no session tracks,
+   * e.g. ones left behind by a previous process
+   * @returns {Promise<Number>} - Number of sandboxes destroyed
+   */
+  async reapOrphaned() {
+    const apiKeys = new Set([config.E2B_API_KEY, ...[...this.sessions.values()].map(session => session.apiKey)]);
+    let reaped = 0;
+
+    for (const apiKey of apiKeys) {
+      try {
+        const running = await listSandboxes(apiKey);
+        for (const sandbox of running) {
+          // Checked per sandbox, as sessions may have been created during the listing and earlier deletes
+          if (this.isOrphan(sandbox)) {
+            await deleteSandbox(sandbox.sandboxId, apiKey);
+            reaped++;
+          }
+        }
+      } catch (error) {
+        logger.error('❌ Error listing sandboxes for orphan cleanup:', error);
+      }
+    }
+
+    if (reaped > 0) {
+      logger.info(`🧹 Reaped ${reaped} orphaned sandboxes`);
+    }
+    return reaped;
+  }
+
+  /**
+   * Destroy every tracked sandbox (used on shutdown)
+   */
+  async destroyAll() {
+    const threadIds = Array.from(this.sessions.keys());
+    for (const threadId of threadIds) {
+      await this.destroy(threadId);
+    }
+    logger.info(`🛑 Destroyed ${threadIds.length} sandbox sessions`);
+  }
+
+  /**
+   * Get session statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      active: this.sessions.size,
+      idleTimeoutMinutes: config.SANDBOX_IDLE_TIMEOUT_MINUTES,
+      maxLifetimeMinutes: config.SANDBOX_MAX_LIFETIME_MINUTES
+    };
+  }
+}
+
+// Create singleton instance
+const sandboxSessions = new SandboxSessionManager();
+
+module.exports = sandboxSessions;
@@ -1,19 +1,178 @@
-const { Telegraf } = require('telegraf');
+const { Telegraf, Markup } = require('telegraf');
+const axios = require('axios');
+const path = require('path');
 const config = require('../config/env');
 const logger = require('../utils/logger');
 const errorHandler = require('../utils/errorHandler');
-const { processMessage } = require('./messageProcessor');
+const { processMessage, resolveApiKeys } = require('./messageProcessor');
+const { listDirectory, readFile, SANDBOX_WORKDIR } = require('./e2b');
+const sandboxSessions = require('./sandboxSessions');
+const { saveUploadToSandbox } = require('./uploads');
+const { transcribeAudio } = require('./transcription');
+const { createProgressReporter } = require('./telegramProgress');
+const { getProviderForUser, getAllowedModels, getActiveModel } = require('./providers');
+const { SETTING_OPTIONS, getConversationSettings, findChoice } = require('./generationSettings');
+const { hasPersonalKeys, revokeUserKeys } = require('./apiKeys');
+const { startKeySetup, sendAccessCode, cancelKeySetup, handleKeySetupMessage } = require('./keySetupWizard');
 const auth = require('../middleware/auth');
+const { sessionMiddleware } = require('../middleware/session');
 const cache = require('../utils/cache');
 const databaseService = require('./database');
 
 // Create Telegram bot instance
 const bot = new Telegraf(config.TELEGRAM_BOT_TOKEN);
 
+// Maximum number of entries shown by /files
+const MAX_LISTED_FILES = 50;
+
+// Longest voice message that will be transcribed
+const MAX_VOICE_DURATION_SECONDS = 300;
+
+// Prompt used when a photo arrives without a caption
+const DEFAULT_IMAGE_PROMPT = 'Please look at this image. If it shows code, an error message or a UI problem, explain what is going on and suggest a fix.';
+
+/**
+ * Get the chat's conversation, creating it if needed
+ * @param {number} chatId - Telegram chat ID
+ * @param {Object} user - Authenticated user object
+ * @returns {Promise<Object>} - Conversation record
+ */
+const getChatConversation = async (chatId, user) => {
+  const threadId = `telegram_${chatId}`;
+  return await databaseService.getConversation(threadId) || await databaseService.createConversation(user.id, threadId);
+};
+
+/**
+ * Render the /settings message: a summary of the current values and one
+ * keyboard row of choices per setting
+ * @param {Object} settings - Settings from getConversationSettings
+ * @param {number} requesterId - Telegram user who sent /settings, encoded in the buttons
+ * @returns {Object} - { text, keyboard }
+ */
+const renderSettings = (settings, requesterId) => {
+  const summary = Object.entries(SETTING_OPTIONS).map(([name, option]) => {
+    const choice = findChoice(name, settings[name]);
+    return `${option.title}: ${choice ? choice.label : settings[name]}`;
+  });
+
+  const keyboard = Markup.inlineKeyboard(
+    Object.entries(SETTING_OPTIONS).map(([name, option]) => option.choices.map(choice => {
+      const selected = String(settings[name]) === String(choice.value);
+      return Markup.button.callback(`${selected ? '✅ ' : ''}${choice.label}`, `settings:${name}:${choice.value}:${requesterId}`);
+    }))
+  );
+
+  return {
+    text: `⚙️ Settings for this chat\n\n${summary.join('\n')}\n\nRows: creativity, output length, verbosity. Tap a choice to change it.`,
+    keyboard
+  };
+};
+
+/**
+ * Get the command argument text (everything after the command itself)
+ * @param {Object} ctx - Telegraf context
+ * @returns {string} - Argument text, trimmed
+ */
+const getCommandArgument = (ctx) => {
+  return ctx.message.text.split(/\s+/).slice(1).join(' ').trim();
+};
+
+/**
+ * Check that a command's button was pressed by the user who sent the command.
+ * Others get a notice and the button is left in place.
+ * @param {Object} ctx - Telegraf context of the callback
+ * @param {string} requesterId - User ID encoded in the callback data (missing on old buttons)
+ * @param {string} command - Command the buttons belong to, e.g. 'revoke'
+ * @returns {Promise<boolean>}
+ */
+const isButtonRequester = async (ctx, requesterId, command) => {
+  if (requesterId && requesterId === String(ctx.from.id)) {
+    return true;
+  }
+
+  logger.warn(`User ${ctx.from.id} pressed a /${command} button for ${requesterId || 'an unknown user'} in chat ${ctx.chat.id}`);
+  await ctx.answerCbQuery(requesterId ? `Only the person who sent /${command} can answer this.` : `This button has expired. Please send /${command} again.`, { show_alert: true });
+  return false;
+};
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Human readable size
+ */
+const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Download a file the user sent to the bot
+ * @param {Object} ctx - Telegraf context
+ * @param {string} fileId - Telegram file ID
+ * @returns {Promise<Buffer>} - File content
+ */
+const downloadTelegramFile = async (ctx, fileId) => {
+  const fileLink = await ctx.telegram.getFileLink(fileId);
+  const response = await axios.get(fileLink.href, {
+    responseType: 'arraybuffer',
+    timeout: 60000
+  });
+  return Buffer.from(response.data);
+};
+
+/**
+ * Process a message while showing operation progress and streamed text in a
+ * status message, which is then replaced by the final answer
+ * @param {Object} ctx - Telegraf context
+ * @param {string} messageText - Message to process
+ * @param {Object} user - Authenticated user object
+ * @param {Object} options - Extra processMessage options, e.g. images (optional)
+ * @returns {Promise<string>} - Final response
+ */
+const processWithProgress = async (ctx, messageText, user, options = {}) => {
+  const progress = createProgressReporter(ctx);
+  await progress.start();
+
+  const response = await processMessage(ctx.chat.id, messageText, user, [], {
+    ...options,
+    onProgress: progress.onProgress,
+    onText: progress.onText
+  });
+
+  await progress.finish(response || 'I received your message but couldn\'t process it. Please try rephrasing your request.');
+  return response;
+};
+
+/**
+ * Run an operation in the chat's running sandbox, if the chat has one
+ * @param {Object} ctx - Telegraf context
+ * @param {Object} user - Authenticated user object
+ * @param {Function} operation - Called with the sandbox ID
+ * @returns {Promise<*>} - The operation's result, or null if the chat has no sandbox
+ */
+const useChatSandbox = async (ctx, user, operation) => {
+  const threadId = `telegram_${ctx.chat.id}`;
+  if (!sandboxSessions.getSession(threadId)) {
+    return null;
+  }
+
+  const apiKeys = await resolveApiKeys(user);
+  const sandboxId = await sandboxSessions.acquire(threadId, apiKeys.e2b);
+  try {
+    return await operation(sandboxId);
+  } finally {
+    sandboxSessions.release(threadId, sandboxId);
+  }
+};
+
 /**
  * Setup bot commands and message handlers
  */
 const setupBotHandlers = () => {
+  // Persistent per-chat state (ctx.session) for confirmations and wizards
+  bot.use(sessionMiddleware());
+
   // Command: /start
   bot.start(async (ctx) => {
     try {
@@ -95,8 +254,15 @@ Here are the things I can help you with:
 /start - Start the bot
 /help - Show this help message
 /status - Check your account status
+/model [name] - Show or choose the AI model
+/settings - Tune creativity, output length and verbosity
 /setkeys - Activate your personal API keys
+/setkeys code - Get a one-time code for the keys API
+/cancel - Cancel API key setup
 /revoke - Revoke your API keys
+/files [path] - List files in your sandbox
+/download <path> - Download a file from your sandbox
+/reset_sandbox - Start over with a fresh sandbox
 
 Just describe what you want to do, and I'll handle the technical details!
       `;
@@ -110,42 +276,23 @@ Just describe what you want to do, and I'll handle the technical details!
     }
   });
 
-  // Command: /setkeys - Guide user to activate API keys
+  // Command: /setkeys - Add personal API keys through a chat wizard,
+  // or /setkeys code for a one-time code for the /api/keys routes
   bot.command('setkeys', async (ctx) => {
     try {
       const user = await auth.authenticate(ctx);
       if (!user) return;
 
-      const setkeysMessage = `
-🔑 **Activate Your Personal API Keys**
-
-To unlock full features and higher limits, activate your personal Gemini and E2B API keys:
-
-**🚀 Benefits of Personal Keys:**
-• Use your own API quotas
-• Higher message limits
-• Better performance
-• Full feature access
-
-**📝 Steps to Activate:**
-1. **Visit:** http://localhost:3001/activate
-2. **Enter your chat ID:** ${ctx.chat.id}
-3. **Get your API keys:**
-   - Gemini: https://makersuite.google.com/app/apikey
-   - E2B: https://e2b.dev/
-
-4. **Submit your keys** on the activation page
-
-**🔒 Security:**
-• Your keys will be encrypted and stored securely
-• Only you have access to your keys
-• You can revoke them anytime with /revoke
-
-Need help getting API keys? Type /revoke for more info!
-      `;
+      if (getCommandArgument(ctx) === 'code') {
+        if (await sendAccessCode(ctx)) {
+          logger.info(`User ${ctx.from.id} requested a key access code`);
+        }
+        return;
+      }
 
-      await ctx.replyWithMarkdown(setkeysMessage);
-      logger.info(`User ${ctx.from.id} requested setkeys command`);
+      if (await startKeySetup(ctx)) {
+        logger.info(`User ${ctx.from.id} started API key setup`);
+      }
 
     } catch (error) {
       logger.error('Error in setkeys command:', error);
@@ -153,12 +300,26 @@ Need help getting API keys? Type /revoke for more info!
     }
   });
 
+  // Command: /cancel - Stop the running wizard
+  bot.command('cancel', async (ctx) => {
+    if (cancelKeySetup(ctx)) {
+      await ctx.reply('👍 API key setup cancelled. Nothing was saved.');
+    } else {
+      await ctx.reply('Nothing to cancel.');
+    }
+  });
+
   // Command: /revoke - Revoke API keys
   bot.command('revoke', async (ctx) => {
     try {
       const user = await auth.authenticate(ctx);
       if (!user) return;
 
+      if (!hasPersonalKeys(user)) {
+        await ctx.reply('ℹ️ You have no personal API keys to revoke. Use /setkeys to add some.');
+        return;
+      }
+
       const revokeMessage = `
 🗑️ **Revoke Your API Keys**
 
@@ -171,19 +332,16 @@ If you want to remove your personal API keys and return to default keys:
 • Use default API keys going forward
 
 **🔄 To reactivate:**
-• Visit: http://localhost:3001/activate
-• Or use /setkeys command
+• Use the /setkeys command
 
-Are you sure you want to revoke your keys? 
-
-Reply with "YES" to confirm, or "NO" to cancel.
+Are you sure you want to revoke your keys?
       `;
 
-      // Set a temporary state for confirmation
-      ctx.session = ctx.session || {};
-      ctx.session.awaitingRevokeConfirmation = true;
-
-      await ctx.replyWithMarkdown(revokeMessage);
+      // The requester's ID is in the callback data, so other members of a group can't answer
+      await ctx.replyWithMarkdown(revokeMessage, Markup.inlineKeyboard([
+        Markup.button.callback('✅ Yes, revoke', `revoke:confirm:${ctx.from.id}`),
+        Markup.button.callback('❌ No, keep them', `revoke:cancel:${ctx.from.id}`)
+      ]));
       logger.info(`User ${ctx.from.id} requested revoke command`);
 
     } catch (error) {
@@ -192,6 +350,39 @@ Reply with "YES" to confirm, or "NO" to cancel.
     }
   });
 
+  // /revoke confirmation buttons, only usable by whoever sent /revoke
+  bot.action(/^revoke:confirm(?::(\d+))?$/, async (ctx) => {
+    try {
+      if (!(await isButtonRequester(ctx, ctx.match[1], 'revoke'))) return;
+
+      const user = await databaseService.findUserByTelegramId(ctx.chat.id);
+      if (!hasPersonalKeys(user)) {
+        await ctx.editMessageText('ℹ️ You have no personal API keys to revoke.');
+        await ctx.answerCbQuery();
+        return;
+      }
+
+      await revokeUserKeys(user);
+      await ctx.editMessageText('✅ Your API keys have been revoked and your account is back on the FREE tier. Use /setkeys to add keys again.');
+      await ctx.answerCbQuery('Keys revoked');
+      logger.info(`User ${ctx.from.id} revoked their API keys`);
+    } catch (error) {
+      logger.error('Error revoking API keys:', error);
+      await ctx.answerCbQuery('Error revoking your keys. Please try again.').catch(() => {});
+    }
+  });
+
+  bot.action(/^revoke:cancel(?::(\d+))?$/, async (ctx) => {
+    try {
+      if (!(await isButtonRequester(ctx, ctx.match[1], 'revoke'))) return;
+
+      await ctx.editMessageText('👍 Revocation cancelled. Your API keys are unchanged.');
+      await ctx.answerCbQuery();
+    } catch (error) {
+      logger.error('Error cancelling revocation:', error);
+    }
+  });
+
   // Command: /status - Show user status
   bot.command('status', async (ctx) => {
     try {
@@ -205,6 +396,7 @@ Reply with "YES" to confirm, or "NO" to cancel.
 • Tier: ${user.tier}
 • Messages Used: ${user.message_count}/${user.message_quota}
 • Remaining: ${user.remaining_quota}
+• Model: \`${getActiveModel(user)}\` (${getProviderForUser(user).name})
 • Account Created: ${new Date(user.created_at).toLocaleDateString()}
 
 *Available Features:*
@@ -220,6 +412,94 @@ ${tierConfig.features.map(feature => `• ${feature}`).join('\n')}
     }
   });
 
+  // Command: /model [name] - Show or choose the model used for your requests
+  bot.command('model', async (ctx) => {
+    try {
+      const user = await auth.authenticate(ctx);
+      if (!user) return;
+
+      const allowedModels = getAllowedModels(user);
+      const choice = getCommandArgument(ctx);
+
+      if (!choice) {
+        const activeModel = getActiveModel(user);
+        const lines = allowedModels.map(model => `${model === activeModel ? '✅' : '▫️'} ${model}`);
+        await ctx.reply(`🧠 Models available on your ${user.tier} plan:\n\n${lines.join('\n')}\n\nChoose one with /model <name>, or /model default to use the default.`);
+        return;
+      }
+
+      if (choice === 'default') {
+        await databaseService.setPreferredModel(user.id, null);
+        await cache.clearUserData(user.id);
+        await ctx.reply(`✅ Using the default model: ${getActiveModel({ ...user, preferred_model: null })}`);
+        logger.info(`User ${ctx.from.id} reset their model preference`);
+        return;
+      }
+
+      if (!allowedModels.includes(choice)) {
+        await ctx.reply(`❌ "${choice}" is not available on your ${user.tier} plan.\nAvailable models: ${allowedModels.join(', ')}`);
+        return;
+      }
+
+      await databaseService.setPreferredModel(user.id, choice);
+      await cache.clearUserData(user.id);
+
+      await ctx.reply(`✅ Your requests will now use ${choice}.`);
+      logger.info(`User ${ctx.from.id} selected model ${choice}`);
+    } catch (error) {
+      logger.error('Error in model command:', error);
+      await ctx.reply('Error updating your model. Please try again.');
+    }
+  });
+
+  // Command: /settings - Tune generation settings for this chat
+  bot.command('settings', async (ctx) => {
+    try {
+      const user = await auth.authenticate(ctx);
+      if (!user) return;
+
+      const conversation = await getChatConversation(ctx.chat.id, user);
+      const { text, keyboard } = renderSettings(getConversationSettings(conversation), ctx.from.id);
+
+      await ctx.reply(text, keyboard);
+      logger.info(`User ${ctx.from.id} opened settings`);
+    } catch (error) {
+      logger.error('Error in settings command:', error);
+      await ctx.reply('Error loading your settings. Please try again.');
+    }
+  });
+
+  // Settings keyboard buttons: settings:<name>:<value>:<userId>, only usable by whoever sent /settings
+  bot.action(/^settings:(\w+):([^:]+)(?::(\d+))?$/, async (ctx) => {
+    try {
+      const [, name, rawValue, requesterId] = ctx.match;
+      if (!(await isButtonRequester(ctx, requesterId, 'settings'))) return;
+
+      const user = await auth.authenticateAction(ctx);
+      if (!user) return;
+
+      const choice = findChoice(name, rawValue);
+      if (!choice) {
+        await ctx.answerCbQuery('This option is no longer available.');
+        return;
+      }
+
+      const conversation = await getChatConversation(ctx.chat.id, user);
+      const settings = getConversationSettings(conversation);
+      if (settings[name] !== choice.value) {
+        const updated = await databaseService.updateConversation(conversation.id, { [SETTING_OPTIONS[name].column]: choice.value });
+        const { text, keyboard } = renderSettings(getConversationSettings(updated), ctx.from.id);
+        await ctx.editMessageText(text, keyboard);
+        logger.info(`User ${ctx.from.id} set ${name} to ${choice.value}`);
+      }
+
+      await ctx.answerCbQuery(`${SETTING_OPTIONS[name].title}: ${choice.label}`);
+    } catch (error) {
+      logger.error('Error updating settings:', error);
+      await ctx.answerCbQuery('Error saving the setting. Please try again.').catch(() => {});
+    }
+  });
+
   // Command: /reset - Reset monthly quota (for testing)
   bot.command('reset', async (ctx) => {
     try {
@@ -232,7 +512,7 @@ ${tierConfig.features.map(feature => `• ${feature}`).join('\n')}
       }
       
       await databaseService.resetMonthlyQuota(user.id);
-      await cache.clearUserCache(user.id);
+      await cache.clearUserData(user.id);
       
       await ctx.reply('✅ Your monthly quota has been reset!');
       logger.info(`User ${ctx.from.id} reset their monthly quota`);
@@ -242,6 +522,124 @@ ${tierConfig.features.map(feature => `• ${feature}`).join('\n')}
     }
   });
 
+  // Command: /files [path] - List sandbox directory
+  bot.command('files', async (ctx) => {
+    try {
+      const user = await auth.authenticate(ctx);
+      if (!user) return;
+
+      const dirPath = getCommandArgument(ctx) || SANDBOX_WORKDIR;
+      const listing = await useChatSandbox(ctx, user, sandboxId => listDirectory(sandboxId, dirPath));
+      if (!listing) {
+        await ctx.reply('📭 No sandbox is running for this chat yet. Ask me to create or run something first!');
+        return;
+      }
+
+      if (!listing.success) {
+        await ctx.reply(`❌ ${listing.error}`);
+        return;
+      }
+
+      if (listing.entries.length === 0) {
+        await ctx.reply(`📂 ${dirPath} is empty.`);
+        return;
+      }
+
+      const entries = [...listing.entries].sort((a, b) => {
+        if (a.type !== b.type) return a.type === 'directory' ? -1 : 1;
+        return a.name.localeCompare(b.name);
+      });
+
+      const lines = entries.slice(0, MAX_LISTED_FILES).map(entry => (
+        entry.type === 'directory'
+          ? `📁 ${entry.name}/`
+          : `📄 ${entry.name} (${formatFileSize(entry.size)})`
+      ));
+
+      if (entries.length > MAX_LISTED_FILES) {
+        lines.push(`… and ${entries.length - MAX_LISTED_FILES} more`);
+      }
+
+      await ctx.reply(`📂 ${dirPath}\n\n${lines.join('\n')}`);
+      logger.info(`User ${ctx.from.id} listed sandbox directory ${dirPath}`);
+
+    } catch (error) {
+      logger.error('Error in files command:', error);
+      await ctx.reply('Error listing sandbox files. Please try again.');
+    }
+  });
+
+  // Command: /download <path> - Send a sandbox file as a document
+  bot.command('download', async (ctx) => {
+    try {
+      const user = await auth.authenticate(ctx);
+      if (!user) return;
+
+      const filePath = getCommandArgument(ctx);
+      if (!filePath) {
+        await ctx.reply('Usage: /download <path>\nExample: /download app.py');
+        return;
+      }
+
+      const file = await useChatSandbox(ctx, user, sandboxId => readFile(sandboxId, filePath, 'base64'));
+      if (!file) {
+        await ctx.reply('📭 No sandbox is running for this chat yet. Ask me to create or run something first!');
+        return;
+      }
+      if (!file.success) {
+        await ctx.reply(`❌ ${file.error}`);
+        return;
+      }
+
+      await ctx.replyWithDocument({
+        source: Buffer.from(file.content, 'base64'),
+        filename: path.posix.basename(filePath)
+      });
+      logger.info(`User ${ctx.from.id} downloaded ${filePath} (${file.size} bytes)`);
+
+    } catch (error) {
+      logger.error('Error in download command:', error);
+      await ctx.reply('Error downloading the file. Please try again.');
+    }
+  });
+
+  // Command: /reset_sandbox - Destroy and recreate the chat's sandbox
+  bot.command('reset_sandbox', async (ctx) => {
+    try {
+      const user = await auth.authenticate(ctx);
+      if (!user) return;
+
+      const threadId = `telegram_${ctx.chat.id}`;
+      const apiKeys = await resolveApiKeys(user);
+
+      await sandboxSessions.destroy(threadId);
+      const sandboxId = await sandboxSessions.acquire(threadId, apiKeys.e2b);
+      sandboxSessions.release(threadId, sandboxId);
+
+      await ctx.reply('♻️ Your sandbox has been reset. All previous files are gone and a fresh environment is ready.');
+      logger.info(`User ${ctx.from.id} reset their sandbox`);
+
+    } catch (error) {
+      logger.error('Error in reset_sandbox command:', error);
+      await ctx.reply('Error resetting your sandbox. Please try again.');
+    }
+  });
+
+  // While /setkeys is running, text messages are API keys, not requests
+  bot.on('text', async (ctx, next) => {
+    try {
+      if (await handleKeySetupMessage(ctx)) {
+        return;
+      }
+    } catch (error) {
+      logger.error('Error in API key setup:', error);
+      cancelKeySetup(ctx);
+      await ctx.reply('Error saving your API keys. Please try /setkeys again.');
+      return;
+    }
+    return next();
+  });
+
   // Handle all text messages with authentication
   bot.on('text', async (ctx, next) => {
     const userMessage = ctx.message.text;
@@ -297,31 +695,12 @@ ${tierConfig.features.map(feature => `• ${feature}`).join('\n')}
       // Log message usage
       await databaseService.logUsage(user.id, 'message', null, true);
       
-      // Process the message with user context
-      const response = await processMessage(chatId, userMessage, user);
+      // Process the message with user context, showing progress as operations run
+      const response = await processWithProgress(ctx, userMessage, user);
 
-      // Send response back to user
-      logger.info('Processing message completed, sending response...');
-      logger.info(`Response length: ${response?.length || 0}`);
-      
-      if (response) {
-        // Handle long messages by splitting if needed
-        if (response.length > 4000) {
-          logger.info('Response is long, splitting into chunks...');
-          const chunks = response.match(/.{1,4000}/g);
-          logger.info(`Splitting into ${chunks.length} chunks`);
-          for (const chunk of chunks) {
-            await ctx.reply(chunk);
-            // Small delay between chunks to avoid rate limiting
-            await new Promise(resolve => setTimeout(resolve, 100));
-          }
-        } else {
-          await ctx.reply(response);
-        }
-        logger.info('Response sent successfully');
-      } else {
+      logger.info(`Processing message completed, response length: ${response?.length || 0}`);
+      if (!response) {
         logger.warn('No response generated from processMessage');
-        await ctx.reply('I received your message but couldn\'t process it. Please try rephrasing your request.');
       }
 
     } catch (error) {
@@ -330,17 +709,155 @@ ${tierConfig.features.map(feature => `• ${feature}`).join('\n')}
     }
   });
 
-  // Handle unsupported message types
+  // Send photos (e.g. screenshots of stack traces or UI bugs) to Gemini as images
   bot.on('photo', async (ctx) => {
-    await ctx.reply('I can see you sent an image, but I currently only process text messages. Please describe what you need help with!');
+    const chatId = ctx.chat.id;
+
+    try {
+      const user = await auth.authenticate(ctx);
+      if (!user) return;
+
+      const tierConfig = auth.getTierConfig(user);
+      if (!tierConfig.features.includes('image_input')) {
+        await ctx.reply('📷 Image input is available on BASIC and PRO plans. Activate your own API keys with /setkeys to unlock it, or describe the problem in text!');
+        return;
+      }
+
+      await ctx.telegram.sendChatAction(chatId, 'typing');
+
+      // Telegram lists photo sizes from smallest to largest
+      const photo = ctx.message.photo[ctx.message.photo.length - 1];
+      const data = await downloadTelegramFile(ctx, photo.file_id);
+      const caption = ctx.message.caption || DEFAULT_IMAGE_PROMPT;
+
+      await databaseService.logUsage(user.id, 'image_message', null, true);
+
+      await processWithProgress(ctx, caption, user, {
+        images: [{ mimeType: 'image/jpeg', data: data.toString('base64') }]
+      });
+      logger.info(`User ${ctx.from.id} sent a photo (${data.length} bytes)`);
+
+    } catch (error) {
+      logger.error('Error handling photo:', error);
+      await ctx.reply('Sorry, I couldn\'t process your image. Please try again.');
+    }
   });
 
+  // Save uploaded documents into the chat's sandbox
   bot.on('document', async (ctx) => {
-    await ctx.reply('I can see you sent a file, but I currently only process text messages. Please describe what you need help with!');
+    const document = ctx.message.document;
+    const chatId = ctx.chat.id;
+    let user = null;
+
+    try {
+      user = await auth.authenticate(ctx);
+      if (!user) return;
+
+      const tierConfig = auth.getTierConfig(user);
+      const sizeLimitMessage = `❌ ${document.file_name} is too large. Your ${user.tier} plan allows uploads up to ${formatFileSize(tierConfig.maxUploadBytes)}.`;
+
+      if (document.file_size > tierConfig.maxUploadBytes) {
+        await ctx.reply(sizeLimitMessage);
+        return;
+      }
+
+      await ctx.telegram.sendChatAction(chatId, 'upload_document');
+      const data = await downloadTelegramFile(ctx, document.file_id);
+
+      // file_size is optional in the Bot API, so check the real size too
+      if (data.length > tierConfig.maxUploadBytes) {
+        await ctx.reply(sizeLimitMessage);
+        return;
+      }
+
+      const apiKeys = await resolveApiKeys(user);
+      const upload = await saveUploadToSandbox({
+        user,
+        chatId,
+        fileName: document.file_name,
+        data,
+        e2bApiKey: apiKeys.e2b
+      });
+
+      await databaseService.logUsage(user.id, 'file_upload', null, true);
+
+      let summary = `📥 Saved ${upload.path} (${formatFileSize(upload.size)})`;
+      if (upload.extractedTo) {
+        summary += `\n📦 Extracted ${upload.extractedFiles.length} files to ${upload.extractedTo}`;
+      }
+      await ctx.reply(summary);
+      logger.info(`User ${ctx.from.id} uploaded ${upload.path}`);
+
+      // A caption is a request about the file, e.g. "fix the bug in this".
+      // The upload note is already in the conversation history, so it isn't repeated here.
+      const caption = ctx.message.caption;
+      if (caption) {
+        await processWithProgress(ctx, caption, user);
+      } else {
+        await ctx.reply('Tell me what you would like me to do with it!');
+      }
+
+    } catch (error) {
+      logger.error('Error handling document upload:', error);
+      if (user) {
+        try {
+          await databaseService.logUsage(user.id, 'file_upload', null, false, error.message);
+        } catch (logError) {
+          logger.error('Error logging upload failure:', logError);
+        }
+      }
+      await ctx.reply(`❌ Sorry, I couldn't save your file: ${error.message}`);
+    }
   });
 
+  // Transcribe voice notes and handle them like typed messages
   bot.on('voice', async (ctx) => {
-    await ctx.reply('I received your voice message, but I currently only process text messages. Please type your question!');
+    const voice = ctx.message.voice;
+    const chatId = ctx.chat.id;
+    let user = null;
+
+    try {
+      user = await auth.authenticate(ctx);
+      if (!user) return;
+
+      if (voice.duration > MAX_VOICE_DURATION_SECONDS) {
+        await ctx.reply(`🎙️ Voice messages can be up to ${MAX_VOICE_DURATION_SECONDS / 60} minutes long. Please send a shorter one or type your question.`);
+        return;
+      }
+
+      await ctx.telegram.sendChatAction(chatId, 'typing');
+
+      const audio = await downloadTelegramFile(ctx, voice.file_id);
+      const apiKeys = await resolveApiKeys(user);
+      const transcript = await transcribeAudio({
+        audio,
+        mimeType: voice.mime_type || 'audio/ogg',
+        apiKey: apiKeys.gemini
+      });
+
+      await databaseService.logUsage(user.id, 'voice_transcription', transcript.tokensUsed, true);
+
+      if (!transcript.text) {
+        await ctx.reply('🎙️ I couldn\'t make out any speech in that voice message. Please try again or type your question.');
+        return;
+      }
+
+      await ctx.reply(`🎙️ I heard:\n"${transcript.text}"`);
+
+      await processWithProgress(ctx, transcript.text, user);
+      logger.info(`User ${ctx.from.id} sent a voice message (${voice.duration}s)`);
+
+    } catch (error) {
+      logger.error('Error handling voice message:', error);
+      if (user) {
+        try {
+          await databaseService.logUsage(user.id, 'voice_transcription', null, false, error.message);
+        } catch (logError) {
+          logger.error('Error logging transcription failure:', logError);
+        }
+      }
+      await ctx.reply('Sorry, I couldn\'t process your voice message. Please try again or type your question.');
+    }
   });
 
   // Handle bot errors gracefully
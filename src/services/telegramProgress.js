@@ -0,0 +1,182 @@
+const logger = require('../utils/logger');
+
+// Telegram limits how often a message can be edited, so edits are batched
+const MIN_EDIT_INTERVAL_MS = 1500;
+
+// Telegram's maximum message length, with some headroom
+const MAX_MESSAGE_LENGTH = 4000;
+
+// Longest operation detail shown in a progress line
+const MAX_DETAIL_LENGTH = 60;
+
+const STATUS_ICONS = {
+  running: '⏳',
+  success: '✅',
+  failed: '❌'
+};
+
+/**
+ * Describe an operation in one short line
+ * @param {Object} operation - Operation from Gemini
+ * @returns {string} - Description
+ */
+const describeOperation = (operation) => {
+  let detail = '';
+  switch (operation.type) {
+    case 'terminal_command':
+      detail = operation.command;
+      break;
+    case 'write_file':
+    case 'read_file':
+      detail = operation.path;
+      break;
+    case 'browser_action':
+      detail = [operation.action, operation.url].filter(Boolean).join(' ');
+      break;
+  }
+
+  detail = (detail || '').replace(/\s+/g, ' ').trim();
+  if (detail.length > MAX_DETAIL_LENGTH) {
+    detail = `${detail.substring(0, MAX_DETAIL_LENGTH - 1)}…`;
+  }
+  return detail ? `${operation.type}: ${detail}` : operation.type;
+};
+
+/**
+ * Create a progress reporter for one request. It sends a status message,
+ * edits it in place as operations start and finish and as response text
+ * streams in, and finally replaces it with the answer.
+ * @param {Object} ctx - Telegraf context
+ * @param {Object} options - { minEditIntervalMs } (optional)
+ * @returns {Object} - { start, onProgress, onText, finish }
+ */
+const createProgressReporter = (ctx, options = {}) => {
+  const minEditIntervalMs = options.minEditIntervalMs ?? MIN_EDIT_INTERVAL_MS;
+  const steps = []; // [{ key, label, status }]
+  let partialText = '';
+  let statusMessage = null;
+  let lastRenderedText = null;
+  let lastEditAt = 0;
+  let editTimer = null;
+  let editing = Promise.resolve();
+
+  const render = () => {
+    const lines = ['⏳ Working on it...'];
+    if (steps.length > 0) {
+      lines.push('');
+      for (const step of steps) {
+        lines.push(`${STATUS_ICONS[step.status]} ${step.label}`);
+      }
+    }
+    if (partialText) {
+      lines.push('', partialText);
+    }
+
+    const text = lines.join('\n');
+    return text.length > MAX_MESSAGE_LENGTH ? `…${text.slice(text.length - MAX_MESSAGE_LENGTH + 1)}` : text;
+  };
+
+  const editStatus = (text) => {
+    editing = editing.then(async () => {
+      if (!statusMessage || text === lastRenderedText) {
+        return;
+      }
+
+      try {
+        await ctx.telegram.editMessageText(ctx.chat.id, statusMessage.message_id, undefined, text);
+        lastRenderedText = text;
+        lastEditAt = Date.now();
+      } catch (error) {
+        logger.warn(`Could not update progress message: ${error.message}`);
+      }
+    });
+    return editing;
+  };
+
+  const scheduleEdit = () => {
+    if (editTimer) {
+      return;
+    }
+
+    const wait = Math.max(0, lastEditAt + minEditIntervalMs - Date.now());
+    editTimer = setTimeout(() => {
+      editTimer = null;
+      editStatus(render());
+    }, wait);
+  };
+
+  return {
+    /**
+     * Send the initial status message
+     */
+    async start() {
+      try {
+        const text = render();
+        statusMessage = await ctx.reply(text);
+        lastRenderedText = text;
+        lastEditAt = Date.now();
+      } catch (error) {
+        logger.warn(`Could not send progress message: ${error.message}`);
+      }
+    },
+
+    /**
+     * Progress callback for processMessage
+     * @param {Object} event - Progress event from executeOperations
+     */
+    onProgress(event) {
+      const key = `${event.iteration || 0}:${event.index}`;
+      if (event.type === 'operation_start') {
+        steps.push({ key, label: describeOperation(event.operation), status: 'running' });
+      } else if (event.type === 'operation_end') {
+        const step = steps.find(candidate => candidate.key === key);
+        if (step) {
+          step.status = event.result && event.result.success ? 'success' : 'failed';
+        }
+      }
+      scheduleEdit();
+    },
+
+    /**
+     * Streaming callback for processMessage
+     * @param {string} text - Text of the current Gemini response so far
+     */
+    onText(text) {
+      partialText = text;
+      scheduleEdit();
+    },
+
+    /**
+     * Replace the status message with the final response.
+     * Responses longer than one message continue in new messages.
+     * @param {string} response - Final response text
+     */
+    async finish(response) {
+      clearTimeout(editTimer);
+      editTimer = null;
+      await editing;
+
+      const chunks = response.match(/[\s\S]{1,4000}/g) || [];
+      let remaining = chunks;
+
+      if (statusMessage && chunks.length > 0) {
+        try {
+          await ctx.telegram.editMessageText(ctx.chat.id, statusMessage.message_id, undefined, chunks[0]);
+          remaining = chunks.slice(1);
+        } catch (error) {
+          logger.warn(`Could not replace progress message: ${error.message}`);
+          await ctx.telegram.deleteMessage(ctx.chat.id, statusMessage.message_id).catch(() => {});
+        }
+      }
+
+      for (const chunk of remaining) {
+        await ctx.reply(chunk);
+      }
+    }
+  };
+};
+
+module.exports = {
+  createProgressReporter,
+  describeOperation
+};
@@ -0,0 +1,97 @@
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const errorHandler = require('../utils/errorHandler');
+const { callGemini } = require('./gemini');
+
+// Gemini can't send an empty reply (callGemini treats it as an error), so
+// silence is reported with this marker and mapped to an empty transcript
+const NO_SPEECH_MARKER = '[no speech]';
+
+const TRANSCRIPTION_PROMPT = `Transcribe this voice message word for word. Reply with the transcript only, without quotes, labels or commentary. If there is no intelligible speech, reply with exactly ${NO_SPEECH_MARKER}`;
+
+/**
+ * Transcription providers turn audio into text.
+ * Each provider implements:
+ *   transcribe({ audio: Buffer, mimeType: string, apiKey: string })
+ *     => Promise<{ text: string, tokensUsed: number|null }>
+ */
+const providers = new Map();
+
+/**
+ * Gemini provider: sends the audio as an inline part and asks for a transcript
+ */
+const geminiProvider = {
+  name: 'gemini',
+  async transcribe({ audio, mimeType, apiKey }) {
+    const result = await callGemini(TRANSCRIPTION_PROMPT, apiKey, 3, {
+      attachments: [{ mimeType, data: audio.toString('base64') }]
+    });
+
+    const text = result.response.trim();
+    return {
+      text: text.replace(/\.$/, '').toLowerCase() === NO_SPEECH_MARKER ? '' : text,
+      tokensUsed: result.tokensUsed
+    };
+  }
+};
+
+/**
+ * Create a provider that returns a fixed transcript without any network calls
+ * @param {string} text - Transcript to return
+ * @returns {Object} - Transcription provider
+ */
+const createStubProvider = (text = 'Write a Python script that prints hello world') => ({
+  name: 'stub',
+  async transcribe({ audio }) {
+    logger.debug(`Stub transcription of ${audio.length} bytes`);
+    return { text, tokensUsed: null };
+  }
+});
+
+/**
+ * Register (or replace) a transcription provider
+ * @param {Object} provider - Provider with a name and transcribe()
+ */
+const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Get a transcription provider by name
+ * @param {string} name - Provider name (defaults to TRANSCRIPTION_PROVIDER)
+ * @returns {Object} - Transcription provider
+ */
+const getProvider = (name = config.TRANSCRIPTION_PROVIDER) => {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw errorHandler.createError(`Unknown transcription provider: ${name}`, 'Voice Transcription');
+  }
+  return provider;
+};
+
+/**
+ * Transcribe a voice message with the configured provider
+ * @param {Object} params - { audio: Buffer, mimeType, apiKey }
+ * @returns {Promise<Object>} - { text, tokensUsed, provider }
+ */
+const transcribeAudio = async ({ audio, mimeType = 'audio/ogg', apiKey = null }) => {
+  const provider = getProvider();
+  logger.info(`🎙️ Transcribing ${audio.length} bytes of ${mimeType} with ${provider.name}`);
+
+  const result = await provider.transcribe({ audio, mimeType, apiKey });
+  return {
+    text: (result.text || '').trim(),
+    tokensUsed: result.tokensUsed || null,
+    provider: provider.name
+  };
+};
+
+registerProvider(geminiProvider);
+registerProvider(createStubProvider());
+
+module.exports = {
+  transcribeAudio,
+  registerProvider,
+  getProvider,
+  createStubProvider
+};
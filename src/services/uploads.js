@@ -0,0 +1,125 @@
+const path = require('path');
+const logger = require('../utils/logger');
+const errorHandler = require('../utils/errorHandler');
+const databaseService = require('./database');
+const sandboxSessions = require('./sandboxSessions');
+const { writeFile, executeTerminalCommand, SANDBOX_WORKDIR } = require('./e2b');
+
+// Archives are unpacked next to the uploaded file
+const ARCHIVE_TYPES = [
+  { pattern: /\.zip$/i, extract: (file, dir) => `unzip -o -q ${shellQuote(file)} -d ${shellQuote(dir)}` },
+  { pattern: /\.(tar\.gz|tgz|tar\.bz2|tbz2|tar\.xz|txz|tar)$/i, extract: (file, dir) => `tar -xf ${shellQuote(file)} -C ${shellQuote(dir)}` }
+];
+
+// Maximum number of extracted file names mentioned to the user and to Gemini
+const MAX_LISTED_EXTRACTED_FILES = 20;
+
+/**
+ * Quote a string for safe use as a single shell argument
+ * @param {string} value - Raw value
+ * @returns {string} - Quoted value
+ */
+const shellQuote = (value) => `'${value.replace(/'/g, `'\\''`)}'`;
+
+/**
+ * Reduce an uploaded file name to a safe base name
+ * @param {string} fileName - File name as sent by the client
+ * @returns {string} - Sanitized file name
+ */
+const sanitizeFileName = (fileName) => {
+  const baseName = path.posix.basename((fileName || '').replace(/\\/g, '/'));
+  const cleaned = baseName.replace(/[^A-Za-z0-9._-]/g, '_').replace(/^\.+/, '');
+  return cleaned || `upload_${Date.now()}`;
+};
+
+/**
+ * Save an uploaded file into the chat's sandbox working directory,
+ * extract it if it is an archive, and note it in the conversation
+ * so Gemini knows it exists.
+ * @param {Object} params - Upload parameters
+ * @param {Object} params.user - Authenticated user object
+ * @param {number} params.chatId - Telegram chat ID
+ * @param {string} params.fileName - Original file name
+ * @param {Buffer} params.data - File content
+ * @param {string} params.e2bApiKey - E2B API key to use
+ * @returns {Promise<Object>} - { path, size, extractedTo, extractedFiles, note }
+ */
+const saveUploadToSandbox = async ({ user, chatId, fileName, data, e2bApiKey }) => {
+  const threadId = `telegram_${chatId}`;
+  const safeName = sanitizeFileName(fileName);
+  const filePath = path.posix.join(SANDBOX_WORKDIR, safeName);
+
+  const sandboxId = await sandboxSessions.acquire(threadId, e2bApiKey);
+  const upload = {
+    path: filePath,
+    size: data.length,
+    extractedTo: null,
+    extractedFiles: []
+  };
+
+  try {
+    const writeResult = await writeFile(sandboxId, filePath, data.toString('base64'), 'base64');
+    if (!writeResult.success) {
+      throw errorHandler.createError(`Failed to save ${safeName}: ${writeResult.error}`, 'File Upload');
+    }
+
+    logger.info(`📥 Saved upload ${filePath} (${data.length} bytes) for ${threadId}`);
+
+    const archiveType = ARCHIVE_TYPES.find(type => type.pattern.test(safeName));
+    if (archiveType) {
+      const extractDir = filePath.replace(archiveType.pattern, '');
+      const command = `mkdir -p ${shellQuote(extractDir)} && ${archiveType.extract(filePath, extractDir)} && find ${shellQuote(extractDir)} -type f`;
+      const extraction = await executeTerminalCommand(sandboxId, command, 60);
+
+      if (!extraction.success) {
+        throw errorHandler.createError(`Saved ${safeName} but could not extract it: ${extraction.stderr.trim()}`, 'File Upload');
+      }
+
+      upload.extractedTo = extractDir;
+      upload.extractedFiles = extraction.stdout.split('\n').filter(Boolean);
+      logger.info(`📦 Extracted ${upload.extractedFiles.length} files to ${extractDir}`);
+    }
+  } finally {
+    sandboxSessions.release(threadId, sandboxId);
+  }
+
+  upload.note = describeUpload(upload);
+
+  // Register the upload in the conversation so the model sees it in history
+  try {
+    let conversation = await databaseService.getConversation(threadId);
+    if (!conversation) {
+      conversation = await databaseService.createConversation(user.id, threadId);
+    }
+    await databaseService.saveMessage(conversation.id, 'SYSTEM', upload.note);
+  } catch (error) {
+    logger.error('Error registering upload in conversation:', error);
+  }
+
+  return upload;
+};
+
+/**
+ * Describe an upload for the conversation history
+ * @param {Object} upload - Upload result
+ * @returns {string} - Description
+ */
+const describeUpload = (upload) => {
+  let note = `The user uploaded a file to the sandbox: ${upload.path} (${upload.size} bytes).`;
+
+  if (upload.extractedTo) {
+    const listed = upload.extractedFiles.slice(0, MAX_LISTED_EXTRACTED_FILES);
+    note += ` It was extracted to ${upload.extractedTo} (${upload.extractedFiles.length} files):\n${listed.join('\n')}`;
+    if (upload.extractedFiles.length > listed.length) {
+      note += `\n... and ${upload.extractedFiles.length - listed.length} more`;
+    }
+  }
+
+  return note;
+};
+
+module.exports = {
+  saveUploadToSandbox,
+  sanitizeFileName,
+  shellQuote
+};
@@ -1,4 +1,5 @@
 const logger = require('../utils/logger');
+const { hitSlidingWindow } = require('./rateLimiter');
 
 /**
  * Simple in-memory cache for user API keys and other data
@@ -234,31 +235,14 @@ class CacheService {
    */
 
   /**
-   * Check if user is rate limited
+   * Count a request against the user's sliding rate limit window
    * @param {String} userId 
-   * @param {Number} limit 
+   * @param {Number} limit - Requests allowed per window
    * @param {Number} windowMs 
-   * @returns {Promise<boolean>}
+   * @returns {Promise<Object>} - { allowed, remaining, retryAfterMs }
    */
   async checkRateLimit(userId, limit = 10, windowMs = 60000) {
-    const key = this.generateKey('rate_limit', userId);
-    
-    let requests = this.get(key);
-    if (!requests) {
-      requests = { count: 0, windowStart: Date.now() };
-    }
-
-    // Reset window if expired
-    if (Date.now() - requests.windowStart > windowMs) {
-      requests = { count: 0, windowStart: Date.now() };
-    }
-
-    requests.count++;
-    
-    // Set new data
-    this.set(key, requests, windowMs);
-    
-    return requests.count <= limit;
+    return await hitSlidingWindow(this, this.generateKey('rate_limit', userId), limit, windowMs);
   }
 
   /**
@@ -280,10 +264,10 @@ class CacheService {
    * @param {String} userId 
    */
   async clearUserCache(userId) {
+    // The rate limit window is kept, or commands that clear the cache would reset it
     const patterns = [
       this.generateKey('api_keys', userId),
       this.generateKey('quota', userId),
-      this.generateKey('rate_limit', userId),
       this.generateKey('requests', userId)
     ];
 
@@ -356,8 +340,12 @@ module.exports = {
     return await cache.setCachedQuota(userId, quota);
   },
 
+  async checkRateLimit(userId, limit = 10, windowMs = 60000) {
+    return await cache.checkRateLimit(userId, limit, windowMs);
+  },
+
   async isRateLimited(userId, limit = 10) {
-    return !(await cache.checkRateLimit(userId, limit));
+    return !(await cache.checkRateLimit(userId, limit)).allowed;
   },
 
   async clearUserData(userId) {
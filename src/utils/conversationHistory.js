@@ -0,0 +1,92 @@
+// Map database message roles to the roles used in conversation history
+const ROLE_MAP = {
+  USER: 'user',
+  ASSISTANT: 'assistant',
+  SYSTEM: 'system'
+};
+
+// Rough characters-per-token ratio used for budget estimates
+const CHARS_PER_TOKEN = 4;
+
+// No single message may use more than this share of the budget, so one
+// long command output cannot push every earlier turn out of the prompt
+const MAX_MESSAGE_SHARE = 0.25;
+
+const TRUNCATION_MARKER = '\n... [truncated to fit the conversation context] ...\n';
+
+/**
+ * Estimate the number of tokens in a text
+ * @param {string} text - Text to measure
+ * @returns {number} - Approximate token count
+ */
+const estimateTokens = (text) => Math.ceil((text || '').length / CHARS_PER_TOKEN);
+
+/**
+ * Convert stored messages into conversation history entries
+ * @param {Array} messages - Messages from getRecentMessages (chronological)
+ * @returns {Array} - [{ role, content }]
+ */
+const toConversationHistory = (messages) => messages
+  .filter(message => ROLE_MAP[message.role] && message.content)
+  .map(message => ({
+    role: ROLE_MAP[message.role],
+    content: message.content
+  }));
+
+/**
+ * Shorten a message to a token limit, keeping its beginning and end
+ * @param {Object} message - History entry
+ * @param {number} maxTokens - Token limit for the message
+ * @returns {Object} - The message, or a truncated copy
+ */
+const truncateMessage = (message, maxTokens) => {
+  if (estimateTokens(message.content) <= maxTokens) {
+    return message;
+  }
+
+  const keepChars = Math.max(0, maxTokens * CHARS_PER_TOKEN - TRUNCATION_MARKER.length);
+  const head = message.content.slice(0, Math.ceil(keepChars / 2));
+  const tail = message.content.slice(message.content.length - Math.floor(keepChars / 2));
+
+  return {
+    ...message,
+    content: head + TRUNCATION_MARKER + tail
+  };
+};
+
+/**
+ * Trim conversation history to fit a token budget.
+ * Oversized messages are shortened first, then the oldest messages are
+ * dropped until the rest fits. The most recent messages are always kept
+ * in preference to older ones.
+ * @param {Array} history - [{ role, content }] in chronological order
+ * @param {number} maxTokens - Token budget for the whole history
+ * @returns {Array} - Trimmed history in chronological order
+ */
+const trimHistoryToBudget = (history, maxTokens) => {
+  const maxMessageTokens = Math.floor(maxTokens * MAX_MESSAGE_SHARE);
+  const kept = [];
+  let usedTokens = 0;
+
+  for (let i = history.length - 1; i >= 0; i--) {
+    const message = truncateMessage(history[i], maxMessageTokens);
+    const tokens = estimateTokens(message.content);
+
+    if (usedTokens + tokens > maxTokens) {
+      break;
+    }
+
+    kept.unshift(message);
+    usedTokens += tokens;
+  }
+
+  return kept;
+};
+
+module.exports = {
+  ROLE_MAP,
+  estimateTokens,
+  toConversationHistory,
+  truncateMessage,
+  trimHistoryToBudget
+};
@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const config = require('../config/env');
+
+/**
+ * Envelope encryption for stored API keys.
+ *
+ * Each value is encrypted with its own random data key (AES-256-GCM), and the
+ * data key is wrapped with a master key. The master key's ID is stored with
+ * the value, so master keys can be rotated: values under an older key stay
+ * readable and are moved to the current key by re-wrapping the data key
+ * (npm run rotate:keys, or the daily key rotation job).
+ *
+ * Format: kv1:<masterKeyId>:<wrappedDataKey>:<payload>
+ * where wrappedDataKey and payload are base64 of iv (12) | auth tag (16) | ciphertext.
+ */
+
+const FORMAT_PREFIX = 'kv1';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// The activation route used to encrypt keys with crypto.createCipher and this
+// passphrase before DatabaseService encrypted them again. Kept to read old rows.
+const LEGACY_ROUTE_PASSPHRASE = 'codebot-encryption-key-32chars!';
+
+/**
+ * Derive a 256-bit master key from a configured secret of any length
+ * @param {string} secret - Master key secret
+ * @returns {Buffer}
+ */
+const deriveMasterKey = (secret) => crypto.createHash('sha256').update(secret, 'utf8').digest();
+
+/**
+ * Short public identifier for a master key secret
+ * @param {string} secret - Master key secret
+ * @returns {string} - 8 hex characters
+ */
+const getKeyId = (secret) => crypto.createHash('sha256').update(`key-id:${secret}`, 'utf8').digest('hex').slice(0, 8);
+
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(aad, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+};
+
+const open = (key, sealed, aad) => {
+  const buffer = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, buffer.subarray(0, IV_LENGTH));
+  decipher.setAAD(Buffer.from(aad, 'utf8'));
+  decipher.setAuthTag(buffer.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  return Buffer.concat([decipher.update(buffer.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+};
+
+/**
+ * OpenSSL EVP_BytesToKey with MD5 and no salt, as used by crypto.createCipher
+ * @param {string} passphrase - Passphrase
+ * @returns {Object} - { key, iv } for AES-256-CBC
+ */
+const evpBytesToKey = (passphrase) => {
+  const password = Buffer.from(passphrase, 'utf8');
+  let derived = Buffer.alloc(0);
+  let block = Buffer.alloc(0);
+  while (derived.length < 48) {
+    block = crypto.createHash('md5').update(Buffer.concat([block, password])).digest();
+    derived = Buffer.concat([derived, block]);
+  }
+  return { key: derived.subarray(0, 32), iv: derived.subarray(32, 48) };
+};
+
+/**
+ * Decrypt the old DatabaseService format: hex iv:authTag:ciphertext, AES-256-GCM
+ * with the raw 32-character secret as key
+ */
+const decryptLegacyGcm = (value, secret) => {
+  const [iv, authTag, encrypted] = value.split(':');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', Buffer.from(secret), Buffer.from(iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+  return decipher.update(encrypted, 'hex', 'utf8') + decipher.final('utf8');
+};
+
+/**
+ * Decrypt the old route format: base64 iv (unused), then base64 ciphertext from crypto.createCipher
+ */
+const decryptLegacyRoute = (value) => {
+  const { key, iv } = evpBytesToKey(LEGACY_ROUTE_PASSPHRASE);
+  const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
+  const encrypted = value.slice(value.indexOf(':') + 1);
+  return decipher.update(encrypted, 'base64', 'utf8') + decipher.final('utf8');
+};
+
+class KeyVault {
+  /**
+   * @param {Object} options
+   * @param {Array} options.masterKeys - [{ id, secret }], all usable for decryption
+   * @param {string} options.currentKeyId - ID of the key used for new values
+   * @param {Array} options.legacySecrets - Secrets the old hex GCM format may have used
+   */
+  constructor({ masterKeys, currentKeyId, legacySecrets = [] }) {
+    this.masterKeys = new Map(masterKeys.map(({ id, secret }) => [id, deriveMasterKey(secret)]));
+    if (!this.masterKeys.has(currentKeyId)) {
+      throw new Error(`Current master key ${currentKeyId} is not configured`);
+    }
+    this.currentKeyId = currentKeyId;
+    this.legacySecrets = legacySecrets.filter(secret => Buffer.byteLength(secret) === 32);
+  }
+
+  /**
+   * Check whether a stored value uses the envelope format
+   * @param {string} value - Stored value
+   * @returns {boolean}
+   */
+  isEnvelope(value) {
+    return typeof value === 'string' && value.startsWith(`${FORMAT_PREFIX}:`);
+  }
+
+  /**
+   * Encrypt a value under the current master key
+   * @param {string} plaintext - Value to encrypt
+   * @returns {string} - Envelope
+   */
+  encrypt(plaintext) {
+    const dataKey = crypto.randomBytes(32);
+    const wrappedKey = seal(this.masterKeys.get(this.currentKeyId), dataKey, this.currentKeyId);
+    const payload = seal(dataKey, Buffer.from(plaintext, 'utf8'), FORMAT_PREFIX);
+    return `${FORMAT_PREFIX}:${this.currentKeyId}:${wrappedKey}:${payload}`;
+  }
+
+  /**
+   * Decrypt an envelope, or a value in one of the legacy formats
+   * @param {string} value - Stored value
+   * @returns {string} - Plaintext
+   * @throws {Error} - If the value cannot be decrypted
+   */
+  decrypt(value) {
+    if (this.isEnvelope(value)) {
+      const [, keyId, wrappedKey, payload] = value.split(':');
+      const masterKey = this.masterKeys.get(keyId);
+      if (!masterKey) {
+        throw new Error(`Unknown master key: ${keyId}`);
+      }
+      const dataKey = open(masterKey, wrappedKey, keyId);
+      return open(dataKey, payload, FORMAT_PREFIX).toString('utf8');
+    }
+
+    return this.decryptLegacy(value);
+  }
+
+  /**
+   * Decrypt the formats written before the vault existed. Values written by
+   * the activation route were encrypted twice, so the inner layer is removed too.
+   * @param {string} value - Stored value
+   * @returns {string} - Plaintext
+   */
+  decryptLegacy(value) {
+    for (const secret of this.legacySecrets) {
+      let decrypted;
+      try {
+        decrypted = decryptLegacyGcm(value, secret);
+      } catch (error) {
+        continue;
+      }
+
+      if (/^[A-Za-z0-9+/=]+:[A-Za-z0-9+/=]+$/.test(decrypted)) {
+        try {
+          return decryptLegacyRoute(decrypted);
+        } catch (error) {
+          // Not the route format after all
+        }
+      }
+      return decrypted;
+    }
+
+    throw new Error('Value is not in a recognised encryption format');
+  }
+
+  /**
+   * Check whether a value should be re-encrypted (legacy format or older master key)
+   * @param {string} value - Stored value
+   * @returns {boolean}
+   */
+  needsReencryption(value) {
+    return !!value && (!this.isEnvelope(value) || value.split(':')[1] !== this.currentKeyId);
+  }
+
+  /**
+   * Move a value to the envelope format under the current master key.
+   * Envelopes under an older key only have their data key re-wrapped.
+   * @param {string} value - Stored value
+   * @returns {string} - Envelope under the current key
+   */
+  reencrypt(value) {
+    if (!this.isEnvelope(value)) {
+      return this.encrypt(this.decrypt(value));
+    }
+
+    const [, keyId, wrappedKey, payload] = value.split(':');
+    if (keyId === this.currentKeyId) {
+      return value;
+    }
+    const masterKey = this.masterKeys.get(keyId);
+    if (!masterKey) {
+      throw new Error(`Unknown master key: ${keyId}`);
+    }
+
+    const dataKey = open(masterKey, wrappedKey, keyId);
+    const rewrapped = seal(this.masterKeys.get(this.currentKeyId), dataKey, this.currentKeyId);
+    return `${FORMAT_PREFIX}:${this.currentKeyId}:${rewrapped}:${payload}`;
+  }
+}
+
+/**
+ * Build the vault from the configured master keys.
+ * ENCRYPTION_KEYS entries get the ID v<version> and the highest version encrypts
+ * new values. ENCRYPTION_KEY stays readable under its fingerprint ID, and is the
+ * current key when ENCRYPTION_KEYS is not set.
+ * @param {Object} options - Config to read (defaults to the app config)
+ * @returns {KeyVault}
+ */
+const createKeyVaultFromConfig = ({ ENCRYPTION_KEY, ENCRYPTION_KEYS = [] } = config) => {
+  const versionedKeys = ENCRYPTION_KEYS.map(({ version, secret }) => ({ id: `v${version}`, secret }));
+  const masterKeys = [...versionedKeys, { id: getKeyId(ENCRYPTION_KEY), secret: ENCRYPTION_KEY }];
+
+  return new KeyVault({
+    masterKeys,
+    currentKeyId: masterKeys[0].id,
+    legacySecrets: [ENCRYPTION_KEY, ...ENCRYPTION_KEYS.map(({ secret }) => secret)]
+  });
+};
+
+// Shared vault used by the database services
+const keyVault = createKeyVaultFromConfig();
+
+module.exports = {
+  keyVault,
+  KeyVault,
+  getKeyId,
+  createKeyVaultFromConfig
+};
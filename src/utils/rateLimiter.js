@@ -0,0 +1,35 @@
+/**
+ * Sliding-window rate limiting on top of a cache backend.
+ * The window keeps the timestamps of the accepted requests, so a burst at the
+ * end of one minute still counts at the start of the next. Only the backend's
+ * get(key) and set(key, value, ttlMs) are used, and both are awaited, so any
+ * cache implementing them (in-memory or remote) can hold the windows.
+ */
+
+/**
+ * Record a request in a sliding window if it is within the limit.
+ * Refused requests are not recorded, so waiting always frees up capacity.
+ * @param {Object} store - Cache backend with get(key) and set(key, value, ttlMs)
+ * @param {string} key - Window key (one per client)
+ * @param {number} limit - Requests allowed per window
+ * @param {number} windowMs - Window length in milliseconds
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<Object>} - { allowed, remaining, retryAfterMs }
+ */
+const hitSlidingWindow = async (store, key, limit, windowMs, now = Date.now()) => {
+  const stored = await store.get(key);
+  const timestamps = (Array.isArray(stored) ? stored : []).filter(timestamp => timestamp > now - windowMs);
+
+  if (timestamps.length >= limit) {
+    // Capacity frees up when the oldest request in the window leaves it
+    return { allowed: false, remaining: 0, retryAfterMs: timestamps[timestamps.length - limit] + windowMs - now };
+  }
+
+  timestamps.push(now);
+  await store.set(key, timestamps, windowMs);
+  return { allowed: true, remaining: limit - timestamps.length, retryAfterMs: 0 };
+};
+
+module.exports = {
+  hitSlidingWindow
+};
@@ -0,0 +1,52 @@
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Split server-sent events out of a text buffer
+ * @param {string} buffer - Text received so far
+ * @returns {Object} - { events: [data strings], rest: unfinished text }
+ */
+const parseSseEvents = (buffer) => {
+  const blocks = buffer.replace(/\r\n/g, '\n').split('\n\n');
+  const rest = blocks.pop();
+  const events = blocks
+    .map(block => block
+      .split('\n')
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trimStart())
+      .join('\n'))
+    .filter(Boolean);
+
+  return { events, rest };
+};
+
+/**
+ * Read a server-sent events stream, calling onEvent with each event's data
+ * @param {Readable} stream - Response stream
+ * @param {Function} onEvent - Async callback receiving the data string of each event
+ */
+const readSseStream = async (stream, onEvent) => {
+  // Network chunks can end inside a multibyte character, so bytes are decoded
+  // across chunk boundaries rather than chunk by chunk
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+
+  for await (const data of stream) {
+    buffer += typeof data === 'string' ? data : decoder.write(data);
+    const parsed = parseSseEvents(buffer);
+    buffer = parsed.rest;
+    for (const event of parsed.events) {
+      await onEvent(event);
+    }
+  }
+
+  // The last event may not be followed by a blank line
+  buffer += decoder.end();
+  for (const event of parseSseEvents(`${buffer}\n\n`).events) {
+    await onEvent(event);
+  }
+};
+
+module.exports = {
+  parseSseEvents,
+  readSseStream
+};
@@ -0,0 +1,193 @@
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { encodeEnvelope, decodeEnvelopes } = require('../src/services/e2bTransport');
+
+/**
+ * Local stand-in for the E2B control plane and envd APIs.
+ * Each sandbox is a temp directory and commands run with the local bash,
+ * so tests get real stdout/stderr/exit codes without network access.
+ *
+ * Control plane: GET/POST /sandboxes, DELETE /sandboxes/:id, POST /sandboxes/:id/timeout
+ * envd:          /envd/:id/process.Process/Start, /envd/:id/files,
+ *                /envd/:id/filesystem.Filesystem/MakeDir, /envd/:id/filesystem.Filesystem/ListDir
+ */
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+const sendJson = (res, status, data) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+};
+
+const endStream = (message) => {
+  const envelope = encodeEnvelope(message);
+  envelope.writeUInt8(0x02, 0);
+  return envelope;
+};
+
+// Minimal multipart/form-data parser: returns the content of the first part
+const parseMultipartFile = (req, body) => {
+  const boundary = `--${/boundary=(?:"([^"]+)"|([^;]+))/.exec(req.headers['content-type']).slice(1).find(Boolean)}`;
+  const start = body.indexOf(boundary) + boundary.length + 2;
+  const headerEnd = body.indexOf('\r\n\r\n', start) + 4;
+  const end = body.indexOf(`\r\n${boundary}`, headerEnd);
+  return body.subarray(headerEnd, end);
+};
+
+// Map a sandbox path into the sandbox's temp directory, which stands in for /home/user
+const resolveSandboxPath = (sandbox, sandboxPath) => {
+  const normalized = path.posix.normalize(`/${sandboxPath}`).replace(/^\/home\/user(\/|$)/, '/');
+  return path.join(sandbox.root, normalized);
+};
+
+const startStubE2BServer = async () => {
+  const sandboxes = new Map();
+  let counter = 0;
+
+  const handleProcessStart = async (sandbox, req, res) => {
+    const [{ message }] = decodeEnvelopes(await readBody(req));
+    const timeoutMs = parseInt(req.headers['connect-timeout-ms'] || '30000', 10);
+    const { cmd, args } = message.process;
+
+    res.writeHead(200, { 'Content-Type': 'application/connect+json' });
+
+    // The temp directory stands in for /home/user, in both directions
+    const toLocal = arg => arg.split('/home/user').join(sandbox.root);
+    const toSandbox = data => Buffer.from(data.toString('utf8').split(sandbox.root).join('/home/user'));
+
+    const child = spawn(cmd, args.filter(arg => arg !== '-l').map(toLocal), { cwd: sandbox.root });
+    res.write(encodeEnvelope({ event: { start: { pid: child.pid } } }));
+
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGKILL');
+    }, timeoutMs);
+
+    child.stdout.on('data', data => res.write(encodeEnvelope({ event: { data: { stdout: toSandbox(data).toString('base64') } } })));
+    child.stderr.on('data', data => res.write(encodeEnvelope({ event: { data: { stderr: toSandbox(data).toString('base64') } } })));
+
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (timedOut) {
+        res.end(endStream({ error: { code: 'deadline_exceeded', message: 'deadline exceeded' } }));
+        return;
+      }
+      // Like envd, a non-zero exit also carries an "exit status N" error
+      res.write(encodeEnvelope({ event: { end: code ? { exitCode: code, exited: true, error: `exit status ${code}` } : { exited: true } } }));
+      res.end(endStream({}));
+    });
+  };
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const parts = url.pathname.split('/').filter(Boolean);
+
+      if (parts[0] === 'sandboxes') {
+        if (req.method === 'GET' && parts.length === 1) {
+          const owned = [...sandboxes.values()].filter(sandbox => sandbox.apiKey === req.headers['x-api-key']);
+          return sendJson(res, 200, owned.map(sandbox => ({ sandboxID: sandbox.sandboxId, metadata: sandbox.metadata, startedAt: sandbox.startedAt })));
+        }
+        if (req.method === 'POST' && parts.length === 1) {
+          const { timeout = 300, metadata = {} } = JSON.parse((await readBody(req)).toString('utf8') || '{}');
+          const sandboxId = `stub${++counter}`;
+          const root = fs.mkdtempSync(path.join(os.tmpdir(), `${sandboxId}-`));
+          sandboxes.set(sandboxId, { sandboxId, root, apiKey: req.headers['x-api-key'], timeout, metadata, startedAt: new Date().toISOString() });
+          return sendJson(res, 201, { sandboxID: sandboxId, templateID: 'stub', envdAccessToken: `token-${sandboxId}` });
+        }
+        if (req.method === 'DELETE' && parts.length === 2) {
+          const sandbox = sandboxes.get(parts[1]);
+          if (!sandbox) return sendJson(res, 404, { message: 'sandbox not found' });
+          fs.rmSync(sandbox.root, { recursive: true, force: true });
+          sandboxes.delete(parts[1]);
+          res.writeHead(204);
+          return res.end();
+        }
+        if (req.method === 'POST' && parts[2] === 'timeout') {
+          const sandbox = sandboxes.get(parts[1]);
+          if (!sandbox) return sendJson(res, 404, { message: 'sandbox not found' });
+          sandbox.timeout = JSON.parse((await readBody(req)).toString('utf8')).timeout;
+          res.writeHead(204);
+          return res.end();
+        }
+      }
+
+      if (parts[0] === 'envd') {
+        const sandbox = sandboxes.get(parts[1]);
+        if (!sandbox) return sendJson(res, 502, { message: 'sandbox not running' });
+        if (req.headers['x-access-token'] !== `token-${sandbox.sandboxId}`) {
+          return sendJson(res, 401, { message: 'invalid access token' });
+        }
+        const route = parts.slice(2).join('/');
+        if (route === 'process.Process/Start') return handleProcessStart(sandbox, req, res);
+
+        if (route === 'filesystem.Filesystem/MakeDir') {
+          const { path: dirPath } = JSON.parse((await readBody(req)).toString('utf8'));
+          const target = resolveSandboxPath(sandbox, dirPath);
+          if (fs.existsSync(target)) return sendJson(res, 409, { code: 'already_exists', message: 'directory exists' });
+          fs.mkdirSync(target, { recursive: true });
+          return sendJson(res, 200, { entry: { name: path.basename(target), type: 'FILE_TYPE_DIRECTORY', path: dirPath } });
+        }
+
+        if (route === 'filesystem.Filesystem/ListDir') {
+          const { path: dirPath } = JSON.parse((await readBody(req)).toString('utf8'));
+          const target = resolveSandboxPath(sandbox, dirPath);
+          if (!fs.existsSync(target)) return sendJson(res, 404, { code: 'not_found', message: 'path not found' });
+          const entries = fs.readdirSync(target, { withFileTypes: true }).map(entry => ({
+            name: entry.name,
+            path: path.posix.join(dirPath, entry.name),
+            type: entry.isDirectory() ? 'FILE_TYPE_DIRECTORY' : 'FILE_TYPE_FILE',
+            size: String(fs.statSync(path.join(target, entry.name)).size)
+          }));
+          return sendJson(res, 200, { entries });
+        }
+
+        if (route === 'files') {
+          const target = resolveSandboxPath(sandbox, url.searchParams.get('path'));
+          if (req.method === 'GET') {
+            if (!fs.existsSync(target) || !fs.statSync(target).isFile()) {
+              return sendJson(res, 404, { message: 'path not found' });
+            }
+            res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+            return res.end(fs.readFileSync(target));
+          }
+          if (req.method === 'POST') {
+            if (!fs.existsSync(path.dirname(target))) return sendJson(res, 400, { message: 'parent directory does not exist' });
+            fs.writeFileSync(target, parseMultipartFile(req, await readBody(req)));
+            return sendJson(res, 200, [{ name: path.basename(target), type: 'file', path: url.searchParams.get('path') }]);
+          }
+        }
+      }
+
+      sendJson(res, 404, { message: `no stub route for ${req.method} ${url.pathname}` });
+    } catch (error) {
+      sendJson(res, 500, { message: error.message });
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    sandboxes,
+    envdUrl: (sandboxId) => `${url}/envd/${sandboxId}`,
+    close: () => new Promise(resolve => {
+      for (const sandbox of sandboxes.values()) {
+        fs.rmSync(sandbox.root, { recursive: true, force: true });
+      }
+      server.close(resolve);
+    })
+  };
+};
+
+module.exports = { startStubE2BServer };
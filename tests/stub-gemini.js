@@ -0,0 +1,87 @@
+const axios = require('axios');
+const { Readable } = require('stream');
+
+const USAGE_METADATA = { promptTokenCount: 100, candidatesTokenCount: 10 };
+
+/**
+ * Encode candidate parts as a streamGenerateContent SSE body: text is sent
+ * in small pieces, other parts in their own chunk, usage in the last chunk
+ * @param {Array} parts - Candidate parts
+ * @returns {Readable} - SSE stream
+ */
+function toSseStream(parts) {
+  const chunks = [];
+  for (const part of parts) {
+    if (part.text) {
+      for (const piece of part.text.match(/[\s\S]{1,5}/g)) {
+        chunks.push({ candidates: [{ content: { role: 'model', parts: [{ text: piece }] } }] });
+      }
+    } else {
+      chunks.push({ candidates: [{ content: { role: 'model', parts: [part] } }] });
+    }
+  }
+  chunks.push({ candidates: [{ content: { role: 'model', parts: [] }, finishReason: 'STOP' }], usageMetadata: USAGE_METADATA });
+
+  // Split the body at awkward places (including inside multibyte characters) to exercise buffering
+  const body = Buffer.from(chunks.map(chunk => `data: ${JSON.stringify(chunk)}\r\n\r\n`).join(''));
+  const pieces = [];
+  for (let offset = 0; offset < body.length; offset += 37) {
+    pieces.push(body.subarray(offset, offset + 37));
+  }
+  return Readable.from(pieces);
+}
+
+/**
+ * Route axios requests for the Gemini API to a scripted responder.
+ * Other requests (e.g. to the stub E2B server) go through the real adapter.
+ * @param {Function} respond - (requestBody, callIndex) => candidate parts array,
+ *   or { status, error } for an error response
+ * @returns {Object} - { requests, streamed, urls, restore }
+ */
+function installStubGemini(respond) {
+  const originalAdapter = axios.defaults.adapter;
+  const passThrough = axios.getAdapter(originalAdapter);
+  const requests = [];
+  const streamed = [];
+  const urls = [];
+
+  axios.defaults.adapter = async (requestConfig) => {
+    if (!requestConfig.url.includes('generativelanguage.googleapis.com')) {
+      return passThrough(requestConfig);
+    }
+
+    const body = JSON.parse(requestConfig.data);
+    const isStream = requestConfig.url.includes(':streamGenerateContent');
+    requests.push(body);
+    streamed.push(isStream);
+    urls.push(requestConfig.url);
+    const parts = await respond(body, requests.length - 1);
+
+    // { status, error } scripts an API error instead of candidate parts
+    if (!Array.isArray(parts)) {
+      const response = { data: { error: parts.error }, status: parts.status, statusText: '', headers: {}, config: requestConfig };
+      throw new axios.AxiosError(`Request failed with status code ${parts.status}`, axios.AxiosError.ERR_BAD_REQUEST, requestConfig, null, response);
+    }
+
+    return {
+      data: isStream
+        ? toSseStream(parts)
+        : { candidates: [{ content: { role: 'model', parts } }], usageMetadata: USAGE_METADATA },
+      status: 200,
+      statusText: 'OK',
+      headers: {},
+      config: requestConfig
+    };
+  };
+
+  return {
+    requests,
+    streamed,
+    urls,
+    restore: () => {
+      axios.defaults.adapter = originalAdapter;
+    }
+  };
+}
+
+module.exports = { installStubGemini };
@@ -0,0 +1,54 @@
+const e2b = require('../src/services/e2b');
+const { getProvider, registerProvider } = require('../src/services/providers');
+
+/**
+ * Build an error shaped like an axios error, or a network failure without status
+ * @param {number|null} status - HTTP status
+ * @returns {Error}
+ */
+function httpError(status) {
+  const error = new Error(status ? `Request failed with status code ${status}` : 'getaddrinfo ENOTFOUND');
+  if (status) {
+    error.response = { status, data: {} };
+  }
+  return error;
+}
+
+/**
+ * Replace the Gemini provider's key check and the E2B transport's sandbox
+ * listing with stand-ins answering from a table of keys.
+ * @param {Object} outcomes - { [apiKey]: HTTP status to fail with, or null for a network error }.
+ *   Keys not in the table are accepted.
+ * @returns {Object} - { checked, restore }
+ */
+function installKeyCheckStandIns(outcomes = {}) {
+  const originalProvider = getProvider('gemini');
+  const originalTransport = e2b.getTransport();
+  const checked = [];
+
+  const check = async (service, apiKey) => {
+    checked.push({ service, apiKey });
+    if (apiKey in outcomes) {
+      throw httpError(outcomes[apiKey]);
+    }
+  };
+
+  registerProvider({ ...originalProvider, verifyApiKey: apiKey => check('gemini', apiKey) });
+  e2b.setTransport({
+    ...originalTransport,
+    listSandboxes: async ({ apiKey }) => {
+      await check('e2b', apiKey);
+      return [];
+    }
+  });
+
+  return {
+    checked,
+    restore: () => {
+      registerProvider(originalProvider);
+      e2b.setTransport(originalTransport);
+    }
+  };
+}
+
+module.exports = { installKeyCheckStandIns };
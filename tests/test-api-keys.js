@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const express = require('express');
+const axios = require('axios');
+const databaseService = require('../src/services/database');
+const cache = require('../src/utils/cache');
+const { hasPersonalKeys, revokeUserKeys } = require('../src/services/apiKeys');
+const { issueAccessCode, verifyAccessCode } = require('../src/services/keyAccessCodes');
+const keysRouter = require('../src/routes/keys');
+const { installKeyCheckStandIns } = require('./stub-key-checks');
+
+/**
+ * Serve the keys router on a free local port
+ */
+function startKeysApi() {
+  const app = express();
+  app.use(express.json());
+  app.locals.databaseService = databaseService;
+  app.use('/api/keys', keysRouter);
+
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/api/keys`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+async function createUserWithKeys(chatId) {
+  const user = await databaseService.createUser({ telegramChatId: chatId, name: `Keys ${chatId}`, tier: 'BASIC' });
+  await databaseService.updateUserApiKeys(user.id, 'AIza-personal', 'e2b_personal');
+  await cache.setUserApiKeys(user.id, { gemini: 'AIza-personal', e2b: 'e2b_personal' });
+  return databaseService.findUserByTelegramId(chatId);
+}
+
+async function testApiKeys() {
+  console.log('🧪 Testing API key activation and revocation...\n');
+
+  const api = await startKeysApi();
+  const standIns = installKeyCheckStandIns({ 'e2b_quota_exhausted_key_000000000000000000000': 429, [`AIza${'o'.repeat(35)}`]: null });
+
+  try {
+    await databaseService.initialize();
+
+    console.log('TEST 1: revokeUserKeys removes keys, downgrades and clears the cache');
+    const user = await createUserWithKeys(994);
+    assert.ok(hasPersonalKeys(user));
+    await revokeUserKeys(user);
+    const revoked = await databaseService.findUserByTelegramId(994);
+    assert.ok(!hasPersonalKeys(revoked));
+    assert.strictEqual(revoked.tier, 'FREE');
+    assert.strictEqual(await cache.getUserApiKeys(user.id), null);
+    assert.deepStrictEqual(await databaseService.getUserApiKeys(user.id), { geminiKey: null, e2bKey: null });
+    console.log('✅ Keys revoked\n');
+
+    console.log('TEST 2: DELETE /api/keys/revoke uses the same logic');
+    const other = await createUserWithKeys(995);
+    const response = await axios.delete(`${api.url}/revoke`, { data: { telegram_chat_id: 995, access_code: issueAccessCode(995).code } });
+    assert.strictEqual(response.data.tier, 'FREE');
+    assert.ok(!hasPersonalKeys(await databaseService.findUserByTelegramId(995)));
+    assert.strictEqual(await cache.getUserApiKeys(other.id), null);
+    console.log('✅ Route revoked keys and cleared the cache\n');
+
+    console.log('TEST 3: POST /api/keys/activate validates and stores keys');
+    await databaseService.createUser({ telegramChatId: 1002, name: 'Keys 1002', tier: 'FREE' });
+    const rejected = await axios.post(`${api.url}/activate`, {
+      telegram_chat_id: 1002,
+      access_code: issueAccessCode(1002).code,
+      gemini_api_key: 'short',
+      e2b_api_key: 'short'
+    }, { validateStatus: () => true });
+    assert.strictEqual(rejected.status, 400);
+    const activated = await axios.post(`${api.url}/activate`, {
+      telegram_chat_id: 1002,
+      access_code: issueAccessCode(1002).code,
+      gemini_api_key: `AIza${'x'.repeat(35)}`,
+      e2b_api_key: `e2b_${'a'.repeat(41)}`
+    });
+    assert.strictEqual(activated.data.tier, 'BASIC');
+    assert.strictEqual(activated.data.keys.gemini.status, 'valid');
+    assert.ok(hasPersonalKeys(await databaseService.findUserByTelegramId(1002)));
+    console.log('✅ Keys activated\n');
+
+    console.log('TEST 4: Keys that fail the live check are not stored');
+    await databaseService.createUser({ telegramChatId: 1003, name: 'Keys 1003', tier: 'FREE' });
+    const exhausted = await axios.post(`${api.url}/activate`, {
+      telegram_chat_id: 1003,
+      access_code: issueAccessCode(1003).code,
+      gemini_api_key: `AIza${'x'.repeat(35)}`,
+      e2b_api_key: 'e2b_quota_exhausted_key_000000000000000000000'
+    }, { validateStatus: () => true });
+    assert.strictEqual(exhausted.status, 400);
+    assert.deepStrictEqual(
+      { gemini: exhausted.data.keys.gemini.status, e2b: exhausted.data.keys.e2b.status },
+      { gemini: 'valid', e2b: 'quota_exhausted' }
+    );
+    const offline = await axios.post(`${api.url}/activate`, {
+      telegram_chat_id: 1003,
+      access_code: issueAccessCode(1003).code,
+      gemini_api_key: `AIza${'o'.repeat(35)}`,
+      e2b_api_key: `e2b_${'a'.repeat(41)}`
+    }, { validateStatus: () => true });
+    assert.strictEqual(offline.status, 503);
+    assert.strictEqual(offline.data.keys.gemini.status, 'network_error');
+    assert.ok(!hasPersonalKeys(await databaseService.findUserByTelegramId(1003)));
+    console.log('✅ Verification failures reported per key\n');
+
+    console.log('TEST 5: The keys routes require a valid one-time access code');
+    const owner = await createUserWithKeys(1004);
+    const deniedBefore = [...databaseService.usageLogs.values()].filter(log => log.operation_type === 'api_key_revocation_denied').length;
+    const revokeWith = (data) => axios.delete(`${api.url}/revoke`, { data: { telegram_chat_id: 1004, ...data }, validateStatus: () => true });
+
+    assert.strictEqual((await revokeWith({})).status, 401);
+    assert.strictEqual((await revokeWith({ access_code: 'ABCDE-FGHJK' })).status, 401);
+    const otherChatCode = issueAccessCode(1005).code;
+    assert.strictEqual((await revokeWith({ access_code: otherChatCode })).status, 401);
+    const replaced = issueAccessCode(1004).code;
+    const { code } = issueAccessCode(1004);
+    assert.strictEqual((await revokeWith({ access_code: replaced })).status, 401, 'a new code replaces the previous one');
+    assert.ok(hasPersonalKeys(await databaseService.findUserByTelegramId(1004)));
+
+    const denied = [...databaseService.usageLogs.values()].filter(log => log.operation_type === 'api_key_revocation_denied');
+    assert.strictEqual(denied.length - deniedBefore, 4);
+    assert.strictEqual(denied[denied.length - 1].user_id, owner.id);
+    assert.strictEqual(denied[denied.length - 1].success, false);
+
+    assert.strictEqual((await revokeWith({ access_code: code.toLowerCase().replace('-', ' ') })).status, 200);
+    assert.strictEqual((await revokeWith({ access_code: code })).status, 401, 'codes are single-use');
+    console.log('✅ Missing, wrong, replaced and reused codes refused and logged\n');
+
+    console.log('TEST 6: Access codes are only spent when the keys change');
+    await databaseService.createUser({ telegramChatId: 1006, name: 'Keys 1006', tier: 'FREE' });
+    const retryCode = issueAccessCode(1006).code;
+    const activate = (keys) => axios.post(`${api.url}/activate`, { telegram_chat_id: 1006, access_code: retryCode, ...keys }, { validateStatus: () => true });
+    const goodKeys = { gemini_api_key: `AIza${'x'.repeat(35)}`, e2b_api_key: `e2b_${'a'.repeat(41)}` };
+
+    assert.strictEqual((await activate({ ...goodKeys, gemini_api_key: 'AIza-typo' })).status, 400);
+    assert.strictEqual((await activate({ ...goodKeys, e2b_api_key: 'e2b_quota_exhausted_key_000000000000000000000' })).status, 400);
+    assert.strictEqual((await activate({ ...goodKeys, gemini_api_key: `AIza${'o'.repeat(35)}` })).status, 503);
+    assert.strictEqual(verifyAccessCode(retryCode, 1006).valid, true);
+    assert.strictEqual((await activate(goodKeys)).status, 200);
+    assert.strictEqual(verifyAccessCode(retryCode, 1006).valid, false);
+
+    const unknownUserCode = issueAccessCode(1007).code;
+    const missingUser = await axios.delete(`${api.url}/revoke`, { data: { telegram_chat_id: 1007, access_code: unknownUserCode }, validateStatus: () => true });
+    assert.strictEqual(missingUser.status, 404);
+    assert.strictEqual(verifyAccessCode(unknownUserCode, 1007).valid, true);
+    console.log('✅ Failed requests keep the code, successful ones use it up\n');
+
+    console.log('🎉 ALL API KEY TESTS PASSED!');
+  } catch (error) {
+    console.error('❌ TEST FAILED:', error.message);
+    console.error(error);
+    process.exitCode = 1;
+  } finally {
+    standIns.restore();
+    await api.close();
+  }
+}
+
+testApiKeys();
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const config = require('../src/config/env');
+const databaseService = require('../src/services/database');
+const { loadConversationHistory } = require('../src/services/messageProcessor');
+const { estimateTokens, toConversationHistory, trimHistoryToBudget } = require('../src/utils/conversationHistory');
+
+async function testConversationHistory() {
+  console.log('🧪 Testing stored conversation history...\n');
+
+  try {
+    console.log('TEST 1: Database roles are mapped into history');
+    const mapped = toConversationHistory([
+      { role: 'USER', content: 'write app.py' },
+      { role: 'SYSTEM', content: 'The user uploaded a file' },
+      { role: 'ASSISTANT', content: 'Done' },
+      { role: 'USER', content: '' }
+    ]);
+    assert.deepStrictEqual(mapped.map(m => m.role), ['user', 'system', 'assistant']);
+    console.log('✅ Roles mapped\n');
+
+    console.log('TEST 2: Oldest messages are dropped to fit the budget');
+    const history = Array.from({ length: 10 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: `${i}`.repeat(40) }));
+    const trimmed = trimHistoryToBudget(history, 45);
+    assert.deepStrictEqual(trimmed, history.slice(-4));
+    assert.ok(trimmed.reduce((sum, m) => sum + estimateTokens(m.content), 0) <= 45);
+    console.log('✅ Recent messages kept\n');
+
+    console.log('TEST 3: Oversized messages are truncated instead of evicting everything');
+    const long = { role: 'assistant', content: `START${'x'.repeat(10000)}END` };
+    const [shortened, latest] = trimHistoryToBudget([long, { role: 'user', content: 'and now?' }], 400);
+    assert.ok(estimateTokens(shortened.content) <= 100);
+    assert.ok(shortened.content.startsWith('START') && shortened.content.endsWith('END'));
+    assert.ok(shortened.content.includes('truncated'));
+    assert.strictEqual(latest.content, 'and now?');
+    console.log('✅ Long output shortened\n');
+
+    console.log('TEST 4: Stored messages are loaded for a conversation');
+    await databaseService.initialize();
+    const user = await databaseService.createUser({ telegramChatId: 777, name: 'History', tier: 'FREE' });
+    const conversation = await databaseService.createConversation(user.id, 'telegram_777');
+    for (let i = 0; i < 6; i++) {
+      await databaseService.saveMessage(conversation.id, i % 2 ? 'ASSISTANT' : 'USER', `message ${i}`);
+    }
+    config.HISTORY_MESSAGE_LIMIT = 4;
+    const loaded = await loadConversationHistory(conversation.id);
+    assert.deepStrictEqual(loaded.map(m => m.content), ['message 2', 'message 3', 'message 4', 'message 5']);
+    assert.strictEqual(loaded[0].role, 'user');
+    console.log('✅ History loaded\n');
+
+    console.log('🎉 ALL CONVERSATION HISTORY TESTS PASSED!');
+  } catch (error) {
+    console.error('❌ TEST FAILED:', error.message);
+    console.error(error);
+    process.exitCode = 1;
+  }
+}
+
+testConversationHistory();
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { startStubE2BServer } = require('./stub-e2b-server');
+const { createHttpTransport } = require('../src/services/e2bTransport');
+const e2b = require('../src/services/e2b');
+const { formatOperationResults } = require('../src/services/messageProcessor');
+
+async function testE2BSandbox() {
+  console.log('🧪 Testing E2B sandbox operations against the stub server...\n');
+
+  const stub = await startStubE2BServer();
+  e2b.setTransport(createHttpTransport({ apiBase: stub.url, envdUrl: stub.envdUrl }));
+
+  try {
+    console.log('TEST 1: Create sandbox');
+    const sandboxId = await e2b.createSandbox('e2b_test_key');
+    assert.ok(stub.sandboxes.has(sandboxId));
+    assert.strictEqual(stub.sandboxes.get(sandboxId).apiKey, 'e2b_test_key');
+    console.log(`✅ Sandbox created: ${sandboxId}\n`);
+
+    console.log('TEST 2: Command stdout and exit code');
+    const echo = await e2b.executeTerminalCommand(sandboxId, 'echo hello from sandbox');
+    assert.strictEqual(echo.success, true);
+    assert.strictEqual(echo.exit_code, 0);
+    assert.strictEqual(echo.stdout.trim(), 'hello from sandbox');
+    assert.ok(typeof echo.execution_time === 'number');
+    console.log('✅ stdout returned\n');
+
+    console.log('TEST 3: Command stderr and non-zero exit code');
+    const failing = await e2b.executeTerminalCommand(sandboxId, 'echo oops >&2; exit 3');
+    assert.strictEqual(failing.success, false);
+    assert.strictEqual(failing.exit_code, 3);
+    assert.strictEqual(failing.stderr.trim(), 'oops');
+    const traceback = await e2b.executeTerminalCommand(sandboxId, 'printf Traceback >&2; exit 1');
+    assert.strictEqual(traceback.stderr, 'Traceback', 'the "exit status" error is not appended to stderr');
+    assert.strictEqual(traceback.exit_code, 1);
+
+    // Other envd errors go on their own line after stderr without a trailing newline
+    const transport = e2b.getTransport();
+    e2b.setTransport({ ...transport, runCommand: async () => ({ stdout: '', stderr: 'partial output', exitCode: 0, timedOut: false, error: 'signal: killed' }) });
+    try {
+      const killed = await e2b.executeTerminalCommand(sandboxId, 'true');
+      assert.strictEqual(killed.stderr, 'partial output\nsignal: killed');
+      assert.strictEqual(killed.success, false);
+    } finally {
+      e2b.setTransport(transport);
+    }
+    console.log('✅ stderr and exit code returned\n');
+
+    console.log('TEST 4: Command timeout');
+    const slow = await e2b.executeTerminalCommand(sandboxId, 'sleep 5', 1);
+    assert.strictEqual(slow.success, false);
+    assert.strictEqual(slow.timed_out, true);
+    assert.ok(slow.execution_time < 5000);
+    console.log('✅ Timeout honored\n');
+
+    console.log('TEST 5: Write and read a text file in a new directory');
+    const written = await e2b.writeFile(sandboxId, 'project/src/app.py', "print('hi')\n");
+    assert.strictEqual(written.success, true);
+    assert.strictEqual(written.content_length, 12);
+    const run = await e2b.executeTerminalCommand(sandboxId, 'cat project/src/app.py');
+    assert.strictEqual(run.stdout, "print('hi')\n");
+    const read = await e2b.readFile(sandboxId, 'project/src/app.py');
+    assert.strictEqual(read.success, true);
+    assert.strictEqual(read.encoding, 'utf8');
+    assert.strictEqual(read.content, "print('hi')\n");
+    assert.ok(formatOperationResults([written, read]).includes("print('hi')"));
+    console.log('✅ Text file round trip\n');
+
+    console.log('TEST 6: Binary file round trip');
+    const binary = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff, 0xfe]);
+    const binaryWrite = await e2b.writeFile(sandboxId, 'image.png', binary.toString('base64'), 'base64');
+    assert.strictEqual(binaryWrite.content_length, binary.length);
+    const binaryRead = await e2b.readFile(sandboxId, 'image.png');
+    assert.strictEqual(binaryRead.encoding, 'base64');
+    assert.ok(Buffer.from(binaryRead.content, 'base64').equals(binary));
+    console.log('✅ Binary content preserved\n');
+
+    console.log('TEST 7: Missing file and size limit errors');
+    const missing = await e2b.readFile(sandboxId, 'does/not/exist.txt');
+    assert.strictEqual(missing.success, false);
+    assert.strictEqual(missing.error, 'File not found: does/not/exist.txt');
+    const tooLarge = await e2b.writeFile(sandboxId, 'big.bin', 'a'.repeat(e2b.MAX_FILE_SIZE_BYTES + 1));
+    assert.strictEqual(tooLarge.success, false);
+    assert.ok(tooLarge.error.includes('too large'));
+    console.log('✅ Clear errors returned\n');
+
+    console.log('TEST 8: List directories');
+    const listing = await e2b.listDirectory(sandboxId);
+    assert.strictEqual(listing.success, true);
+    assert.deepStrictEqual(listing.entries.map(entry => `${entry.type}:${entry.name}`).sort(), ['directory:project', 'file:image.png']);
+    const nested = await e2b.listDirectory(sandboxId, 'project/src');
+    assert.strictEqual(nested.entries[0].size, 12);
+    const missingDir = await e2b.listDirectory(sandboxId, 'nope');
+    assert.strictEqual(missingDir.error, 'Directory not found: nope');
+    console.log('✅ Directory listing returned\n');
+
+    console.log('TEST 9: executeOperations creates and deletes its sandbox');
+    const results = await e2b.executeOperations([
+      { type: 'write_file', path: 'data/n.txt', content: '42' },
+      { type: 'terminal_command', command: 'cat data/n.txt' }
+    ], 'e2b_test_key');
+    assert.strictEqual(results[1].stdout, '42');
+    assert.strictEqual(stub.sandboxes.size, 1);
+    console.log('✅ Operations executed\n');
+
+    console.log('TEST 10: Delete sandbox');
+    assert.strictEqual(await e2b.deleteSandbox(sandboxId), true);
+    assert.strictEqual(stub.sandboxes.size, 0);
+    console.log('✅ Sandbox deleted\n');
+
+    console.log('🎉 ALL E2B SANDBOX TESTS PASSED!');
+  } catch (error) {
+    console.error('❌ TEST FAILED:', error.message);
+    console.error(error);
+    process.exitCode = 1;
+  } finally {
+    await stub.close();
+  }
+}
+
+testE2BSandbox();
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const axios = require('axios');
+const systemPrompt = require('../src/prompts/systemPrompt');
+const { buildContents, processConversation } = require('../src/services/gemini');
+
+async function testGeminiContents() {
+  console.log('🧪 Testing Gemini multi-turn contents...\n');
+
+  const originalAdapter = axios.defaults.adapter;
+
+  try {
+    console.log('TEST 1: History maps to user/model turns');
+    const contents = buildContents([
+      { role: 'assistant', content: 'leftover reply' },
+      { role: 'user', content: 'write app.py' },
+      { role: 'assistant', content: 'Done' },
+      { role: 'system', content: 'The user uploaded data.csv' },
+      { role: 'user', content: 'now read it', images: [{ mimeType: 'image/png', data: 'aGk=' }] }
+    ]);
+    assert.deepStrictEqual(contents.map(c => c.role), ['user', 'model', 'user']);
+    assert.deepStrictEqual(contents[2].parts, [
+      { text: '[System note] The user uploaded data.csv' },
+      { text: 'now read it' },
+      { inlineData: { mimeType: 'image/png', data: 'aGk=' } }
+    ]);
+    console.log('✅ Turns mapped and merged\n');
+
+    console.log('TEST 2: Requests carry systemInstruction and per-turn usage');
+    let requestBody = null;
+    axios.defaults.adapter = async (requestConfig) => {
+      requestBody = JSON.parse(requestConfig.data);
+      return {
+        data: {
+          candidates: [{ content: { role: 'model', parts: [{ text: 'Hello again' }] } }],
+          usageMetadata: { promptTokenCount: 120, candidatesTokenCount: 8 }
+        },
+        status: 200,
+        statusText: 'OK',
+        headers: {},
+        config: requestConfig
+      };
+    };
+
+    const result = await processConversation('and now?', [
+      { role: 'user', content: 'hi' },
+      { role: 'assistant', content: 'Hello' }
+    ], 'AIza_test_key');
+
+    assert.deepStrictEqual(requestBody.systemInstruction, { parts: [{ text: systemPrompt }] });
+    assert.deepStrictEqual(requestBody.contents.map(c => c.role), ['user', 'model', 'user']);
+    assert.strictEqual(requestBody.contents[2].parts[0].text, 'and now?');
+    assert.ok(!JSON.stringify(requestBody.contents).includes('Previous conversation context'));
+    assert.strictEqual(result.response, 'Hello again');
+    assert.deepStrictEqual(result.usage, { promptTokens: 120, responseTokens: 8 });
+    assert.strictEqual(result.tokensUsed, 128);
+    console.log('✅ Native request sent\n');
+
+    console.log('TEST 3: Function calls become operations');
+    assert.deepStrictEqual(requestBody.tools[0].functionDeclarations.map(f => f.name),
+      ['terminal_command', 'write_file', 'read_file', 'browser_action']);
+    assert.strictEqual(requestBody.toolConfig.functionCallingConfig.mode, 'AUTO');
+    axios.defaults.adapter = async (requestConfig) => {
+      requestBody = JSON.parse(requestConfig.data);
+      return {
+        data: {
+          candidates: [{ content: { role: 'model', parts: [
+            { text: 'Let me run it.' },
+            { functionCall: { name: 'write_file', args: { path: 'a.py', content: 'print(1)' } } },
+            { functionCall: { name: 'terminal_command', args: { command: 'python a.py' } } }
+          ] } }],
+          usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5 }
+        },
+        status: 200,
+        statusText: 'OK',
+        headers: {},
+        config: requestConfig
+      };
+    };
+    const calling = await processConversation('run a.py', [], 'AIza_test_key');
+    assert.strictEqual(calling.status, 'in_progress');
+    assert.strictEqual(calling.response, 'Let me run it.');
+    assert.deepStrictEqual(calling.operations, [
+      { path: 'a.py', content: 'print(1)', type: 'write_file' },
+      { command: 'python a.py', type: 'terminal_command' }
+    ]);
+    console.log('✅ Operations parsed from functionCall parts\n');
+
+    console.log('TEST 4: Results are returned as functionResponse parts');
+    await processConversation(null, [
+      { role: 'user', content: 'run a.py' },
+      { role: 'assistant', content: calling.response, toolCalls: calling.toolCalls },
+      { role: 'tool', results: [{ name: 'write_file', response: { success: true } }, { name: 'terminal_command', response: { stdout: '1\n' } }] }
+    ], 'AIza_test_key', { allowOperations: false });
+    assert.deepStrictEqual(requestBody.contents.map(c => c.role), ['user', 'model', 'user']);
+    assert.deepStrictEqual(requestBody.contents[1].parts[1], { functionCall: { name: 'write_file', args: { path: 'a.py', content: 'print(1)' } } });
+    assert.deepStrictEqual(requestBody.contents[2].parts, [
+      { functionResponse: { name: 'write_file', response: { success: true } } },
+      { functionResponse: { name: 'terminal_command', response: { stdout: '1\n' } } }
+    ]);
+    assert.strictEqual(requestBody.toolConfig.functionCallingConfig.mode, 'NONE');
+    console.log('✅ Function responses sent\n');
+
+    console.log('🎉 ALL GEMINI CONTENTS TESTS PASSED!');
+  } catch (error) {
+    console.error('❌ TEST FAILED:', error.message);
+    console.error(error);
+    process.exitCode = 1;
+  } finally {
+    axios.defaults.adapter = originalAdapter;
+  }
+}
+
+testGeminiContents();
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { installStubGemini } = require('./stub-gemini');
+const databaseService = require('../src/services/database');
+const { callGemini } = require('../src/services/gemini');
+const { Readable } = require('stream');
+const { parseSseEvents, readSseStream } = require('../src/utils/sse');
+const { processMessage } = require('../src/services/messageProcessor');
+
+async function testGeminiStreaming() {
+  console.log('🧪 Testing streamed Gemini responses...\n');
+
+  const gemini = installStubGemini(() => [{ text: 'Here is a streamed answer about Python lists.' }]);
+
+  try {
+    console.log('TEST 1: SSE events are split across reads');
+    const first = parseSseEvents('data: {"a":1}\r\n\r\ndata: {"b"');
+    assert.deepStrictEqual(first.events, ['{"a":1}']);
+    assert.strictEqual(first.rest, 'data: {"b"');
+    assert.deepStrictEqual(parseSseEvents(`${first.rest}:2}\n\n`).events, ['{"b":2}']);
+    console.log('✅ Events parsed\n');
+
+    console.log('TEST 2: Partial text is reported as it arrives');
+    const updates = [];
+    const result = await callGemini('explain lists', 'AIza_test_key', 1, { onText: text => updates.push(text) });
+    assert.strictEqual(gemini.streamed[0], true);
+    assert.strictEqual(result.response, 'Here is a streamed answer about Python lists.');
+    assert.ok(updates.length > 3);
+    assert.ok(updates.every((text, i) => i === 0 || text.startsWith(updates[i - 1])));
+    assert.strictEqual(updates[updates.length - 1], result.response);
+    console.log('✅ Text streamed\n');
+
+    console.log('TEST 3: Usage from the final chunk is kept');
+    assert.strictEqual(result.tokensUsed, 110);
+    assert.deepStrictEqual(result.usageMetadata, { promptTokenCount: 100, candidatesTokenCount: 10 });
+    console.log('✅ Usage metadata available\n');
+
+    console.log('TEST 4: Streamed function calls are parsed');
+    const calls = installStubGemini(() => [
+      { text: 'Running it.' },
+      { functionCall: { name: 'terminal_command', args: { command: 'ls' } } }
+    ]);
+    const withCall = await callGemini('list files', 'AIza_test_key', 1, { onText: () => {} });
+    calls.restore();
+    assert.strictEqual(withCall.response, 'Running it.');
+    assert.deepStrictEqual(withCall.functionCalls.map(c => c.args), [{ command: 'ls' }]);
+    console.log('✅ Function calls kept\n');
+
+    console.log('TEST 5: Streamed usage reaches logUsage');
+    await databaseService.initialize();
+    const user = await databaseService.createUser({ telegramChatId: 990, name: 'Streamer', tier: 'FREE' });
+    const logged = [];
+    const logUsage = databaseService.logUsage;
+    databaseService.logUsage = async (...args) => {
+      logged.push(args);
+      return logUsage.apply(databaseService, args);
+    };
+    const streamedText = [];
+    const reply = await processMessage(990, 'explain lists', user, [], { onText: text => streamedText.push(text) });
+    databaseService.logUsage = logUsage;
+    assert.strictEqual(reply, 'Here is a streamed answer about Python lists.');
+    assert.ok(streamedText.length > 0);
+    assert.deepStrictEqual(logged.find(args => args[1] === 'gemini_request'), [user.id, 'gemini_request', 110, true]);
+    console.log('✅ Usage logged\n');
+
+    console.log('TEST 6: Multibyte characters split across chunks are decoded intact');
+    const text = 'Привет 👋';
+    const body = Buffer.from(`data: ${JSON.stringify({ text })}\n\n`);
+    const emojiStart = body.indexOf(Buffer.from('👋'));
+    const split = [body.subarray(0, 10), body.subarray(10, emojiStart + 2), body.subarray(emojiStart + 2)];
+    const events = [];
+    await readSseStream(Readable.from(split), async (event) => events.push(JSON.parse(event).text));
+    assert.deepStrictEqual(events, [text]);
+    console.log('✅ Split characters reassembled\n');
+
+    console.log('🎉 ALL GEMINI STREAMING TESTS PASSED!');
+  } catch (error) {
+    console.error('❌ TEST FAILED:', error.message);
+    console.error(error);
+    process.exitCode = 1;
+  } finally {
+    gemini.restore();
+  }
+}
+
+testGeminiStreaming();
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const databaseService = require('../src/services/database');
+const { DEFAULT_SETTINGS, getConversationSettings, findChoice } = require('../src/services/generationSettings');
+const { buildMessages } = require('../src/services/providers/openai');
+const { processMessage } = require('../src/services/messageProcessor');
+const { installStubGemini } = require('./stub-gemini');
+
+async function testGenerationSettings() {
+  console.log('🧪 Testing per-conversation generation settings...\n');
+
+  const gemini = installStubGemini(() => [{ text: 'Done.' }]);
+
+  try {
+    await databaseService.initialize();
+
+    console.log('TEST 1: Unset values fall back to the defaults');
+    assert.deepStrictEqual(getConversationSettings(null), DEFAULT_SETTINGS);
+    assert.deepStrictEqual(
+      getConversationSettings({ temperature: 0.2, max_output_tokens: null, verbosity: 'concise' }),
+      { temperature: 0.2, maxOutputTokens: 8192, verbosity: 'concise' }
+    );
+    assert.strictEqual(findChoice('temperature', '1').label, 'Creative');
+    assert.strictEqual(findChoice('temperature', '0.5'), null);
+    assert.strictEqual(findChoice('topK', '40'), null);
+    console.log('✅ Settings resolved\n');
+
+    console.log('TEST 2: Stored settings are applied to Gemini requests');
+    const user = await databaseService.createUser({ telegramChatId: 993, name: 'Tuner', tier: 'FREE' });
+    await processMessage(993, 'hello', user);
+    assert.strictEqual(gemini.requests[0].generationConfig.temperature, 0.7);
+    assert.strictEqual(gemini.requests[0].generationConfig.maxOutputTokens, 8192);
+
+    const conversation = await databaseService.getConversation('telegram_993');
+    await databaseService.updateConversation(conversation.id, { temperature: 0.2, max_output_tokens: 1024, verbosity: 'concise' });
+    await processMessage(993, 'hello again', user);
+    const request = gemini.requests[1];
+    assert.strictEqual(request.generationConfig.temperature, 0.2);
+    assert.strictEqual(request.generationConfig.maxOutputTokens, 1024);
+    assert.ok(request.systemInstruction.parts[0].text.includes('Keep answers short'));
+    console.log('✅ Temperature, output length and verbosity applied\n');
+
+    console.log('TEST 3: Verbosity reaches the OpenAI-compatible system prompt');
+    assert.ok(buildMessages([], 'detailed')[0].content.includes('Give thorough answers'));
+    assert.ok(!buildMessages([])[0].content.includes('Give thorough answers'));
+    console.log('✅ System prompt extended\n');
+
+    console.log('🎉 ALL GENERATION SETTINGS TESTS PASSED!');
+  } catch (error) {
+    console.error('❌ TEST FAILED:', error.message);
+    console.error(error);
+    process.exitCode = 1;
+  } finally {
+    gemini.restore();
+  }
+}
+
+testGenerationSettings();
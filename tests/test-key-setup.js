@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const databaseService = require('../src/services/database');
+const { hasPersonalKeys } = require('../src/services/apiKeys');
+const { startKeySetup, sendAccessCode, cancelKeySetup, handleKeySetupMessage } = require('../src/services/keySetupWizard');
+const { verifyAccessCode } = require('../src/services/keyAccessCodes');
+const { installKeyCheckStandIns } = require('./stub-key-checks');
+
+const GEMINI_KEY = `AIza${'x'.repeat(35)}`;
+const E2B_KEY = `e2b_${'a'.repeat(41)}`;
+const REVOKED_GEMINI_KEY = `AIza${'r'.repeat(35)}`;
+
+/**
+ * Fake Telegraf context that records replies and deleted messages
+ */
+function createContext(chatId, session, { type = 'private', fromId = chatId } = {}) {
+  const ctx = {
+    chat: { id: chatId, type },
+    from: { id: fromId },
+    session,
+    message: null,
+    replies: [],
+    deleted: 0,
+    reply: async (text) => { ctx.replies.push(text); },
+    replyWithMarkdown: async (text) => { ctx.replies.push(text); },
+    deleteMessage: async () => { ctx.deleted++; }
+  };
+  return ctx;
+}
+
+async function send(ctx, text) {
+  ctx.message = { text };
+  return handleKeySetupMessage(ctx);
+}
+
+async function testKeySetup() {
+  console.log('🧪 Testing the /setkeys wizard...\n');
+
+  const standIns = installKeyCheckStandIns({ [REVOKED_GEMINI_KEY]: 400 });
+
+  try {
+    await databaseService.initialize();
+    const user = await databaseService.createUser({ telegramChatId: 1001, name: 'Wizard', tier: 'FREE' });
+
+    console.log('TEST 1: Messages are ignored when no wizard is running');
+    const idle = createContext(1001, undefined);
+    assert.strictEqual(await send(idle, 'write me a script'), false);
+    assert.strictEqual(idle.deleted, 0);
+    console.log('✅ Normal messages pass through\n');
+
+    console.log('TEST 2: Invalid keys are deleted and rejected');
+    const ctx = createContext(1001, undefined);
+    await startKeySetup(ctx);
+    assert.deepStrictEqual(ctx.session.keySetup, { step: 'gemini', startedBy: 1001 });
+    assert.strictEqual(await send(ctx, 'not-a-key'), true);
+    assert.strictEqual(ctx.deleted, 1);
+    assert.ok(ctx.replies[ctx.replies.length - 1].includes('doesn\'t look like a Gemini API key'));
+    assert.strictEqual(ctx.session.keySetup.step, 'gemini');
+    await send(ctx, REVOKED_GEMINI_KEY);
+    assert.strictEqual(ctx.deleted, 2);
+    assert.ok(ctx.replies[ctx.replies.length - 1].includes('Gemini rejected this key'));
+    assert.strictEqual(ctx.session.keySetup.step, 'gemini');
+    console.log('✅ Invalid keys rejected\n');
+
+    console.log('TEST 3: Both keys are collected, deleted and stored');
+    await send(ctx, GEMINI_KEY);
+    assert.strictEqual(ctx.session.keySetup.step, 'e2b');
+    assert.ok(!JSON.stringify(ctx.session).includes(GEMINI_KEY), 'session must not hold the key');
+    assert.strictEqual(await send(ctx, '/help'), false);
+    await send(ctx, E2B_KEY);
+    assert.strictEqual(ctx.deleted, 4);
+    assert.deepStrictEqual(standIns.checked.map(c => c.service), ['gemini', 'gemini', 'e2b']);
+    assert.strictEqual(ctx.session, null);
+    const stored = await databaseService.findUserByTelegramId(1001);
+    assert.ok(hasPersonalKeys(stored));
+    assert.strictEqual(stored.tier, 'BASIC');
+    assert.ok(!stored.gemini_api_key_encrypted.includes(GEMINI_KEY));
+    console.log(`✅ Keys stored for ${user.id}\n`);
+
+    console.log('TEST 4: /cancel stops the wizard and keeps other session data');
+    const cancelled = createContext(1001, { other: true });
+    await startKeySetup(cancelled);
+    await send(cancelled, GEMINI_KEY);
+    assert.strictEqual(cancelKeySetup(cancelled), true);
+    assert.deepStrictEqual(cancelled.session, { other: true });
+    assert.strictEqual(cancelKeySetup(cancelled), false);
+    assert.strictEqual(await send(cancelled, E2B_KEY), false);
+    console.log('✅ Wizard cancelled\n');
+
+    console.log('TEST 5: The wizard only runs in private chats, for the user who started it');
+    const group = createContext(-1001, undefined, { type: 'supergroup', fromId: 1001 });
+    assert.strictEqual(await startKeySetup(group), false);
+    assert.strictEqual(group.session, undefined);
+    assert.ok(group.replies[0].includes('private chat'));
+
+    // A running wizard ignores messages from anyone but the user who started it
+    const shared = createContext(-1001, { keySetup: { step: 'gemini', startedBy: 1001 } }, { type: 'supergroup', fromId: 1002 });
+    assert.strictEqual(await send(shared, 'hello everyone'), false);
+    assert.strictEqual(shared.deleted, 0);
+    assert.strictEqual(shared.session.keySetup.step, 'gemini');
+    console.log('✅ Group chats refused, other members pass through\n');
+
+    console.log('TEST 6: Access codes are only issued in private chats');
+    const groupCode = createContext(-1002, undefined, { type: 'group', fromId: 1001 });
+    assert.strictEqual(await sendAccessCode(groupCode), false);
+    assert.strictEqual(groupCode.replies.length, 1);
+    assert.ok(groupCode.replies[0].includes('/setkeys code'));
+    assert.ok(!/[A-Z0-9]{5}-[A-Z0-9]{5}/.test(groupCode.replies[0]), 'no code is posted in the group');
+
+    const privateCode = createContext(1001, undefined);
+    assert.strictEqual(await sendAccessCode(privateCode), true);
+    const [code] = privateCode.replies[0].match(/[A-Z0-9]{5}-[A-Z0-9]{5}/);
+    assert.strictEqual(verifyAccessCode(code, 1001).valid, true);
+    console.log('✅ Group chats get a notice instead of a code\n');
+
+    console.log('🎉 ALL KEY SETUP TESTS PASSED!');
+  } catch (error) {
+    console.error('❌ TEST FAILED:', error.message);
+    console.error(error);
+    process.exitCode = 1;
+  } finally {
+    standIns.restore();
+  }
+}
+
+testKeySetup();
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const crypto = require('crypto');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const config = require('../src/config/env');
+const databaseService = require('../src/services/database');
+const { KeyVault, keyVault, getKeyId, createKeyVaultFromConfig } = require('../src/utils/keyVault');
+const { activateUserKeys, reencryptStoredKeys } = require('../src/services/apiKeys');
+const { resolveApiKeys } = require('../src/services/messageProcessor');
+
+const GEMINI_KEY = `AIza${'v'.repeat(35)}`;
+const E2B_KEY = `e2b_${'b'.repeat(41)}`;
+
+// Writers for the formats used before the key vault
+function legacyGcmEncrypt(text, secret = config.ENCRYPTION_KEY) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(secret), iv);
+  const encrypted = cipher.update(text, 'utf8', 'hex') + cipher.final('hex');
+  return `${iv.toString('hex')}:${cipher.getAuthTag().toString('hex')}:${encrypted}`;
+}
+
+// Load the config in a child process with the given environment
+function loadConfig(env) {
+  const script = "console.log(JSON.stringify(require('./src/config/env').ENCRYPTION_KEYS))";
+  return execFileSync(process.execPath, ['-e', script], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  }).toString();
+}
+
+function legacyRouteEncrypt(text) {
+  const cipher = crypto.createCipher('aes-256-cbc', 'codebot-encryption-key-32chars!');
+  return `${crypto.randomBytes(16).toString('base64')}:${cipher.update(text, 'utf8', 'base64')}${cipher.final('base64')}`;
+}
+
+async function testKeyVault() {
+  console.log('🧪 Testing the API key vault...\n');
+
+  try {
+    await databaseService.initialize();
+
+    console.log('TEST 1: Envelopes round-trip and carry the master key ID');
+    const sealed = keyVault.encrypt(GEMINI_KEY);
+    assert.ok(sealed.startsWith(`kv1:${getKeyId(config.ENCRYPTION_KEY)}:`));
+    assert.notStrictEqual(sealed, keyVault.encrypt(GEMINI_KEY));
+    assert.strictEqual(keyVault.decrypt(sealed), GEMINI_KEY);
+    assert.strictEqual(keyVault.needsReencryption(sealed), false);
+    const parts = sealed.split(':');
+    const payload = Buffer.from(parts[3], 'base64');
+    payload[payload.length - 1] ^= 1;
+    assert.throws(() => keyVault.decrypt([...parts.slice(0, 3), payload.toString('base64')].join(':')));
+    console.log('✅ Round trip works and tampering is detected\n');
+
+    console.log('TEST 2: Legacy formats are still readable');
+    assert.strictEqual(keyVault.decrypt(legacyGcmEncrypt(E2B_KEY)), E2B_KEY);
+    if (typeof crypto.createCipher === 'function') {
+      assert.strictEqual(keyVault.decrypt(legacyGcmEncrypt(legacyRouteEncrypt(GEMINI_KEY))), GEMINI_KEY);
+    }
+    assert.ok(keyVault.needsReencryption(legacyGcmEncrypt(E2B_KEY)));
+    assert.throws(() => keyVault.decrypt('garbage'), /not in a recognised encryption format/);
+    console.log('✅ Old and double-encrypted values decrypted\n');
+
+    console.log('TEST 3: Values move to a new master key by re-wrapping');
+    const oldVault = new KeyVault({ masterKeys: [{ id: 'old', secret: 'first secret' }], currentKeyId: 'old' });
+    const rotatingVault = new KeyVault({
+      masterKeys: [{ id: 'old', secret: 'first secret' }, { id: 'new', secret: 'second secret' }],
+      currentKeyId: 'new'
+    });
+    const newOnlyVault = new KeyVault({ masterKeys: [{ id: 'new', secret: 'second secret' }], currentKeyId: 'new' });
+    const underOldKey = oldVault.encrypt(E2B_KEY);
+    assert.strictEqual(rotatingVault.decrypt(underOldKey), E2B_KEY);
+    assert.ok(rotatingVault.needsReencryption(underOldKey));
+    const rewrapped = rotatingVault.reencrypt(underOldKey);
+    assert.ok(rewrapped.startsWith('kv1:new:'));
+    assert.strictEqual(rewrapped.split(':')[3], underOldKey.split(':')[3], 'payload is kept, only the data key is re-wrapped');
+    assert.strictEqual(newOnlyVault.decrypt(rewrapped), E2B_KEY);
+    assert.throws(() => newOnlyVault.decrypt(underOldKey), /Unknown master key: old/);
+    console.log('✅ Rotation works\n');
+
+    console.log('TEST 4: The migration re-encrypts existing rows once');
+    const legacyUser = await databaseService.createUser({ telegramChatId: 1101, name: 'Legacy', tier: 'BASIC' });
+    await databaseService.setEncryptedApiKeys(legacyUser.id, {
+      gemini_api_key_encrypted: typeof crypto.createCipher === 'function'
+        ? legacyGcmEncrypt(legacyRouteEncrypt(GEMINI_KEY))
+        : legacyGcmEncrypt(GEMINI_KEY),
+      e2b_api_key_encrypted: legacyGcmEncrypt(E2B_KEY)
+    });
+    const brokenUser = await databaseService.createUser({ telegramChatId: 1102, name: 'Broken', tier: 'BASIC' });
+    await databaseService.setEncryptedApiKeys(brokenUser.id, { gemini_api_key_encrypted: 'garbage', e2b_api_key_encrypted: null });
+
+    const stats = await reencryptStoredKeys();
+    assert.strictEqual(stats.reencrypted, 1);
+    assert.strictEqual(stats.failed, 1);
+    const migrated = await databaseService.findUserByTelegramId(1101);
+    assert.ok(keyVault.isEnvelope(migrated.gemini_api_key_encrypted));
+    assert.deepStrictEqual(await databaseService.getUserApiKeys(legacyUser.id), { geminiKey: GEMINI_KEY, e2bKey: E2B_KEY });
+    assert.strictEqual((await reencryptStoredKeys()).reencrypted, 0);
+    console.log('✅ Rows migrated, broken rows reported\n');
+
+    console.log('TEST 5: Activated keys are encrypted once and used for requests');
+    const user = await databaseService.createUser({ telegramChatId: 1103, name: 'Active', tier: 'FREE' });
+    await activateUserKeys(user, GEMINI_KEY, E2B_KEY);
+    const stored = await databaseService.findUserByTelegramId(1103);
+    assert.strictEqual(keyVault.decrypt(stored.gemini_api_key_encrypted), GEMINI_KEY);
+    const apiKeys = await resolveApiKeys(stored);
+    assert.strictEqual(apiKeys.gemini, GEMINI_KEY);
+    assert.strictEqual(apiKeys.e2b, E2B_KEY);
+    console.log('✅ Personal keys resolved\n');
+
+    console.log('TEST 6: ENCRYPTION_KEYS versions are embedded and rows rotate to the newest');
+    const v1Vault = createKeyVaultFromConfig({ ENCRYPTION_KEY: config.ENCRYPTION_KEY, ENCRYPTION_KEYS: [{ version: 1, secret: 'version one' }] });
+    const v2Vault = createKeyVaultFromConfig({
+      ENCRYPTION_KEY: config.ENCRYPTION_KEY,
+      ENCRYPTION_KEYS: [{ version: 2, secret: 'version two' }, { version: 1, secret: 'version one' }]
+    });
+    assert.strictEqual(v2Vault.currentKeyId, 'v2');
+    const underV1 = v1Vault.encrypt(GEMINI_KEY);
+    assert.ok(underV1.startsWith('kv1:v1:'));
+    assert.strictEqual(v2Vault.decrypt(underV1), GEMINI_KEY);
+    assert.strictEqual(v2Vault.decrypt(keyVault.encrypt(E2B_KEY)), E2B_KEY, 'ENCRYPTION_KEY stays readable');
+
+    const rotatingUser = await databaseService.createUser({ telegramChatId: 1104, name: 'Rotating', tier: 'BASIC' });
+    await databaseService.setEncryptedApiKeys(rotatingUser.id, {
+      gemini_api_key_encrypted: underV1,
+      e2b_api_key_encrypted: keyVault.encrypt(E2B_KEY)
+    });
+    const dryRun = await reencryptStoredKeys(databaseService, v2Vault, { dryRun: true });
+    assert.ok(dryRun.reencrypted >= 1);
+    assert.strictEqual((await databaseService.findUserByTelegramId(1104)).gemini_api_key_encrypted, underV1, 'dry run writes nothing');
+
+    await reencryptStoredKeys(databaseService, v2Vault);
+    const rotated = await databaseService.findUserByTelegramId(1104);
+    assert.ok(rotated.gemini_api_key_encrypted.startsWith('kv1:v2:'));
+    assert.ok(rotated.e2b_api_key_encrypted.startsWith('kv1:v2:'));
+    const v2OnlyVault = new KeyVault({ masterKeys: [{ id: 'v2', secret: 'version two' }], currentKeyId: 'v2' });
+    assert.strictEqual(v2OnlyVault.decrypt(rotated.e2b_api_key_encrypted), E2B_KEY);
+    console.log('✅ Rows moved to the newest version\n');
+
+    console.log('TEST 7: ENCRYPTION_KEYS is validated and production refuses the default key');
+    assert.deepStrictEqual(JSON.parse(loadConfig({ ENCRYPTION_KEYS: '1:old:with:colons, 3:newest' })), [
+      { version: 3, secret: 'newest' },
+      { version: 1, secret: 'old:with:colons' }
+    ]);
+    assert.throws(() => loadConfig({ ENCRYPTION_KEYS: 'latest:secret' }), /positive integer versions/);
+    assert.throws(() => loadConfig({ ENCRYPTION_KEYS: '1:a,1:b' }), /same version more than once/);
+    assert.throws(() => loadConfig({ NODE_ENV: 'production', ENCRYPTION_KEY: '', ENCRYPTION_KEYS: '' }), /default encryption key/);
+    assert.ok(loadConfig({ NODE_ENV: 'production', ENCRYPTION_KEY: '', ENCRYPTION_KEYS: '1:a real secret' }));
+    console.log('✅ Config checked\n');
+
+    console.log('🎉 ALL KEY VAULT TESTS PASSED!');
+  } catch (error) {
+    console.error('❌ TEST FAILED:', error.message);
+    console.error(error);
+    process.exitCode = 1;
+  }
+}
+
+testKeyVault();
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { KEY_STATUS, verifyApiKeys, verifyGeminiKey, verifyE2BKey } = require('../src/services/keyVerification');
+const { installKeyCheckStandIns } = require('./stub-key-checks');
+const { installStubGemini } = require('./stub-gemini');
+
+const GEMINI_KEY = `AIza${'x'.repeat(35)}`;
+const E2B_KEY = `e2b_${'a'.repeat(41)}`;
+
+async function testKeyVerification() {
+  console.log('🧪 Testing live API key verification...\n');
+
+  const standIns = installKeyCheckStandIns({
+    'gemini-invalid': 400,
+    'gemini-forbidden': 403,
+    'gemini-quota': 429,
+    'gemini-offline': null,
+    'e2b-unauthorized': 401,
+    'e2b-unavailable': 503
+  });
+
+  try {
+    console.log('TEST 1: Accepted keys are valid');
+    const result = await verifyApiKeys({ gemini: GEMINI_KEY, e2b: E2B_KEY });
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.gemini.status, KEY_STATUS.VALID);
+    assert.strictEqual(result.e2b.status, KEY_STATUS.VALID);
+    assert.deepStrictEqual(standIns.checked.map(c => c.service).sort(), ['e2b', 'gemini']);
+    console.log('✅ Both keys valid\n');
+
+    console.log('TEST 2: Failures are classified per key');
+    assert.strictEqual((await verifyGeminiKey('gemini-invalid')).status, KEY_STATUS.INVALID);
+    assert.strictEqual((await verifyGeminiKey('gemini-forbidden')).status, KEY_STATUS.INVALID);
+    assert.strictEqual((await verifyGeminiKey('gemini-quota')).status, KEY_STATUS.QUOTA_EXHAUSTED);
+    assert.strictEqual((await verifyGeminiKey('gemini-offline')).status, KEY_STATUS.NETWORK_ERROR);
+    assert.strictEqual((await verifyE2BKey('e2b-unauthorized')).status, KEY_STATUS.INVALID);
+    assert.strictEqual((await verifyE2BKey('e2b-unavailable')).status, KEY_STATUS.NETWORK_ERROR);
+    console.log('✅ invalid / quota_exhausted / network_error reported\n');
+
+    console.log('TEST 3: One bad key makes the pair invalid');
+    const mixed = await verifyApiKeys({ gemini: GEMINI_KEY, e2b: 'e2b-unauthorized' });
+    assert.strictEqual(mixed.valid, false);
+    assert.strictEqual(mixed.gemini.status, KEY_STATUS.VALID);
+    assert.strictEqual(mixed.e2b.status, KEY_STATUS.INVALID);
+    assert.ok(mixed.e2b.message);
+    console.log('✅ Per-key results returned\n');
+
+    console.log('TEST 4: The Gemini check spends quota, so exhausted keys are reported');
+    standIns.restore();
+    // Answers in call order: accepted, quota exhausted (429), billing quota (403), rejected key
+    const answers = [
+      [{ text: 'p' }],
+      { status: 429, error: { code: 429, status: 'RESOURCE_EXHAUSTED', message: 'Quota exceeded' } },
+      { status: 403, error: { code: 403, status: 'RESOURCE_EXHAUSTED', message: 'Billing quota exceeded' } },
+      { status: 400, error: { code: 400, status: 'INVALID_ARGUMENT', message: 'API key not valid' } }
+    ];
+    const gemini = installStubGemini((body, index) => answers[index]);
+    try {
+      assert.strictEqual((await verifyGeminiKey(GEMINI_KEY)).status, KEY_STATUS.VALID);
+      assert.ok(gemini.urls[0].endsWith(':generateContent'));
+      assert.strictEqual(gemini.requests[0].generationConfig.maxOutputTokens, 1);
+      assert.strictEqual((await verifyGeminiKey(GEMINI_KEY)).status, KEY_STATUS.QUOTA_EXHAUSTED);
+      assert.strictEqual((await verifyGeminiKey(GEMINI_KEY)).status, KEY_STATUS.QUOTA_EXHAUSTED);
+      assert.strictEqual((await verifyGeminiKey(GEMINI_KEY)).status, KEY_STATUS.INVALID);
+    } finally {
+      gemini.restore();
+    }
+    console.log('✅ RESOURCE_EXHAUSTED mapped to quota_exhausted\n');
+
+    console.log('🎉 ALL KEY VERIFICATION TESTS PASSED!');
+  } catch (error) {
+    console.error('❌ TEST FAILED:', error.message);
+    console.error(error);
+    process.exitCode = 1;
+  } finally {
+    standIns.restore();
+  }
+}
+
+testKeyVerification();
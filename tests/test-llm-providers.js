@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const http = require('http');
+const config = require('../src/config/env');
+const { startStubE2BServer } = require('./stub-e2b-server');
+const { createHttpTransport } = require('../src/services/e2bTransport');
+const e2b = require('../src/services/e2b');
+const sandboxSessions = require('../src/services/sandboxSessions');
+const databaseService = require('../src/services/database');
+const { getProvider, getProviderForUser } = require('../src/services/providers');
+const { processMessage } = require('../src/services/messageProcessor');
+
+/**
+ * Local OpenAI-compatible server answering from a script of assistant messages
+ */
+function startStubOpenAIServer(script) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      requests.push({ headers: req.headers, body: request });
+      const message = script(request, requests.length - 1);
+      const usage = { prompt_tokens: 50, completion_tokens: 7, total_tokens: 57 };
+
+      if (!request.stream) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ index: 0, message, finish_reason: 'stop' }], usage }));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      const send = (chunk) => res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+      for (const piece of (message.content || '').match(/[\s\S]{1,4}/g) || []) {
+        send({ choices: [{ index: 0, delta: { content: piece } }] });
+      }
+      (message.tool_calls || []).forEach((call, index) => {
+        const half = Math.ceil(call.function.arguments.length / 2);
+        send({ choices: [{ index: 0, delta: { tool_calls: [{ index, id: call.id, type: 'function', function: { name: call.function.name, arguments: call.function.arguments.slice(0, half) } }] } }] });
+        send({ choices: [{ index: 0, delta: { tool_calls: [{ index, function: { arguments: call.function.arguments.slice(half) } }] } }] });
+      });
+      send({ choices: [], usage });
+      res.end('data: [DONE]\n\n');
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/v1`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+async function testLlmProviders() {
+  console.log('🧪 Testing pluggable LLM providers...\n');
+
+  const e2bStub = await startStubE2BServer();
+  e2b.setTransport(createHttpTransport({ apiBase: e2bStub.url, envdUrl: e2bStub.envdUrl }));
+  const openai = await startStubOpenAIServer((request, index) => {
+    if (request.tool_choice === 'auto' && index % 2 === 0) {
+      return {
+        role: 'assistant',
+        content: 'Checking.',
+        tool_calls: [{ id: `call_${index}`, type: 'function', function: { name: 'terminal_command', arguments: '{"command":"echo offline"}' } }]
+      };
+    }
+    return { role: 'assistant', content: 'The command printed offline.' };
+  });
+  const originalBaseUrl = config.OPENAI_BASE_URL;
+  config.OPENAI_BASE_URL = openai.url;
+
+  try {
+    await databaseService.initialize();
+
+    console.log('TEST 1: Providers are picked per user, then per tier, then by default');
+    const user = await databaseService.createUser({ telegramChatId: 991, name: 'Local', tier: 'FREE' });
+    assert.strictEqual(getProviderForUser(user).name, config.LLM_PROVIDER);
+    assert.strictEqual(getProviderForUser(null).name, config.LLM_PROVIDER);
+    assert.strictEqual(getProviderForUser({ ...user, llm_provider: 'openai' }).name, 'openai');
+    assert.throws(() => getProvider('llama-magic'), /Unknown LLM provider/);
+    console.log('✅ Provider selection works\n');
+
+    console.log('TEST 2: The OpenAI-compatible provider runs tool calls against a local server');
+    await databaseService.updateUser(user.id, { llm_provider: 'openai' });
+    const reply = await processMessage(991, 'run echo offline', user);
+    assert.strictEqual(reply, 'The command printed offline.');
+    const [first, second] = openai.requests;
+    assert.strictEqual(first.body.messages[0].role, 'system');
+    assert.deepStrictEqual(first.body.tools.map(t => t.function.name), ['terminal_command', 'write_file', 'read_file', 'browser_action']);
+    assert.strictEqual(first.body.tools[0].function.parameters.type, 'object');
+    const toolMessage = second.body.messages[second.body.messages.length - 1];
+    assert.strictEqual(toolMessage.role, 'tool');
+    assert.strictEqual(toolMessage.tool_call_id, 'call_0');
+    assert.strictEqual(JSON.parse(toolMessage.content).stdout, 'offline\n');
+    console.log('✅ Tool call executed and answered\n');
+
+    console.log('TEST 3: Streaming deltas, including split tool call arguments, are merged');
+    openai.requests.length = 0;
+    const streamed = [];
+    const streamedReply = await processMessage(991, 'run it again', user, [], { onText: text => streamed.push(text) });
+    assert.strictEqual(streamedReply, 'The command printed offline.');
+    assert.ok(openai.requests.every(r => r.body.stream === true));
+    assert.strictEqual(streamed[streamed.length - 1], 'The command printed offline.');
+    const streamedTool = openai.requests[1].body.messages.slice(-1)[0];
+    assert.strictEqual(JSON.parse(streamedTool.content).command, 'echo offline');
+    console.log('✅ Stream merged\n');
+
+    console.log('🎉 ALL LLM PROVIDER TESTS PASSED!');
+  } catch (error) {
+    console.error('❌ TEST FAILED:', error.message);
+    console.error(error);
+    process.exitCode = 1;
+  } finally {
+    config.OPENAI_BASE_URL = originalBaseUrl;
+    await sandboxSessions.destroyAll();
+    await openai.close();
+    await e2bStub.close();
+  }
+}
+
+testLlmProviders();
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { startStubE2BServer } = require('./stub-e2b-server');
+const { installStubGemini } = require('./stub-gemini');
+const { createHttpTransport } = require('../src/services/e2bTransport');
+const e2b = require('../src/services/e2b');
+const sandboxSessions = require('../src/services/sandboxSessions');
+const databaseService = require('../src/services/database');
+const { processMessage } = require('../src/services/messageProcessor');
+
+async function testMessageProcessor() {
+  console.log('🧪 Testing the message pipeline with function calling...\n');
+
+  const stub = await startStubE2BServer();
+  e2b.setTransport(createHttpTransport({ apiBase: stub.url, envdUrl: stub.envdUrl }));
+  let respond = (body, index) => {
+    if (index === 0) {
+      return [
+        { text: 'Creating the script.' },
+        { functionCall: { name: 'write_file', args: { path: 'hello.py', content: 'print("hi")\n' } } },
+        { functionCall: { name: 'terminal_command', args: { command: 'python3 hello.py' } } }
+      ];
+    }
+    return [{ text: 'The script printed hi.' }];
+  };
+  const gemini = installStubGemini((body, index) => respond(body, index));
+
+  try {
+    await databaseService.initialize();
+    const user = await databaseService.createUser({ telegramChatId: 888, name: 'Pipeline', tier: 'FREE' });
+
+    console.log('TEST 1: Function calls run in the sandbox and results go back to Gemini');
+    const events = [];
+    const reply = await processMessage(888, 'write and run hello.py', user, [], { onProgress: event => events.push(event) });
+    assert.strictEqual(reply, 'The script printed hi.');
+    assert.deepStrictEqual(events.map(e => `${e.type}:${e.iteration}:${e.index}`),
+      ['operation_start:1:0', 'operation_end:1:0', 'operation_start:1:1', 'operation_end:1:1']);
+    assert.strictEqual(events[3].result.stdout, 'hi\n');
+    assert.strictEqual(gemini.requests.length, 2);
+
+    const [, followUp] = gemini.requests;
+    const toolTurn = followUp.contents[followUp.contents.length - 1];
+    assert.strictEqual(toolTurn.role, 'user');
+    assert.deepStrictEqual(toolTurn.parts.map(p => p.functionResponse.name), ['write_file', 'terminal_command']);
+    assert.strictEqual(toolTurn.parts[1].functionResponse.response.stdout, 'hi\n');
+    assert.strictEqual(followUp.toolConfig.functionCallingConfig.mode, 'AUTO');
+    console.log('✅ Operations executed and reported\n');
+
+    console.log('TEST 2: The exchange is stored and reused as history');
+    gemini.requests.length = 0;
+    await processMessage(888, 'thanks', user);
+    const [nextRequest] = gemini.requests;
+    assert.deepStrictEqual(nextRequest.contents.map(c => c.role), ['user', 'model', 'user']);
+    assert.strictEqual(nextRequest.contents[1].parts[0].text, 'The script printed hi.');
+    console.log('✅ History reused\n');
+
+    console.log('TEST 3: The agent loop runs several rounds until the model is done');
+    gemini.requests.length = 0;
+    respond = (body, index) => {
+      if (index === 0) {
+        return [{ functionCall: { name: 'write_file', args: { path: 'calc.py', content: 'print(1/0)\n' } } }];
+      }
+      if (index === 1) {
+        return [{ functionCall: { name: 'terminal_command', args: { command: 'python3 calc.py' } } }];
+      }
+      if (index === 2) {
+        assert.ok(body.contents[body.contents.length - 1].parts[0].functionResponse.response.stderr.includes('ZeroDivisionError'));
+        return [{ functionCall: { name: 'write_file', args: { path: 'calc.py', content: 'print(1/1)\n' } } }];
+      }
+      if (index === 3) {
+        return [{ functionCall: { name: 'terminal_command', args: { command: 'python3 calc.py' } } }];
+      }
+      return [{ text: 'Fixed the division, it prints 1.0 now.' }];
+    };
+    const proUser = await databaseService.createUser({ telegramChatId: 889, name: 'Pro', tier: 'PRO' });
+    assert.strictEqual(await processMessage(889, 'write calc.py, run it and fix any error', proUser), 'Fixed the division, it prints 1.0 now.');
+    assert.strictEqual(gemini.requests.length, 5);
+    assert.ok(gemini.requests.slice(0, 4).every(r => r.toolConfig.functionCallingConfig.mode === 'AUTO'));
+    console.log('✅ Five rounds completed\n');
+
+    console.log('TEST 4: The loop stops at the tier iteration limit and asks for a summary');
+    gemini.requests.length = 0;
+    respond = (body) => {
+      if (body.toolConfig.functionCallingConfig.mode === 'NONE') {
+        return [{ text: 'Still looping, here is where things stand.' }];
+      }
+      return [{ functionCall: { name: 'terminal_command', args: { command: 'echo again' } } }];
+    };
+    const limited = await processMessage(888, 'keep going forever', user);
+    assert.strictEqual(gemini.requests.length, 4); // FREE plan: 3 iterations + summary
+    assert.ok(limited.startsWith('Still looping, here is where things stand.'));
+    assert.ok(limited.includes('Stopped after 3 step(s)'));
+    const summaryRequest = gemini.requests[3];
+    const lastParts = summaryRequest.contents[summaryRequest.contents.length - 1].parts;
+    assert.ok(lastParts[0].functionResponse);
+    assert.ok(lastParts[lastParts.length - 1].text.includes('step limit'));
+    console.log('✅ Iteration limit enforced\n');
+
+    console.log('🎉 ALL MESSAGE PROCESSOR TESTS PASSED!');
+  } catch (error) {
+    console.error('❌ TEST FAILED:', error.message);
+    console.error(error);
+    process.exitCode = 1;
+  } finally {
+    gemini.restore();
+    await sandboxSessions.destroyAll();
+    await stub.close();
+  }
+}
+
+testMessageProcessor();
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const config = require('../src/config/env');
+const databaseService = require('../src/services/database');
+const { getAllowedModels, getActiveModel } = require('../src/services/providers');
+const { processMessage } = require('../src/services/messageProcessor');
+const { installStubGemini } = require('./stub-gemini');
+
+async function testModelSelection() {
+  console.log('🧪 Testing per-user model selection...\n');
+
+  const gemini = installStubGemini(() => [{ text: 'Hello!' }]);
+
+  try {
+    await databaseService.initialize();
+
+    console.log('TEST 1: Each tier allows its own models');
+    assert.deepStrictEqual(getAllowedModels({ tier: 'FREE' }), ['gemini-2.5-flash-lite']);
+    assert.ok(getAllowedModels({ tier: 'PRO' }).includes('gemini-2.5-pro'));
+    assert.ok(!getAllowedModels({ tier: 'BASIC' }).includes('gemini-2.5-pro'));
+    console.log('✅ Tier model lists are correct\n');
+
+    console.log('TEST 2: The stored choice is used only while the tier allows it');
+    assert.strictEqual(getActiveModel({ tier: 'PRO', preferred_model: 'gemini-2.5-pro' }), 'gemini-2.5-pro');
+    assert.strictEqual(getActiveModel({ tier: 'FREE', preferred_model: 'gemini-2.5-pro' }), config.GEMINI_MODEL);
+    assert.strictEqual(getActiveModel({ tier: 'PRO' }), config.GEMINI_MODEL);
+    assert.strictEqual(getActiveModel(null), config.GEMINI_MODEL);
+    console.log('✅ Preference falls back to the default\n');
+
+    console.log('TEST 3: Requests go to the chosen model');
+    const user = await databaseService.createUser({ telegramChatId: 992, name: 'Picky', tier: 'PRO' });
+    await databaseService.setPreferredModel(user.id, 'gemini-2.5-pro');
+    const stored = await databaseService.findUserByTelegramId(992);
+    assert.strictEqual(stored.preferred_model, 'gemini-2.5-pro');
+    await processMessage(992, 'hi', stored);
+    assert.ok(gemini.urls[0].includes('/models/gemini-2.5-pro:'), gemini.urls[0]);
+    console.log('✅ Stored model used in the API URL\n');
+
+    console.log('🎉 ALL MODEL SELECTION TESTS PASSED!');
+  } catch (error) {
+    console.error('❌ TEST FAILED:', error.message);
+    console.error(error);
+    process.exitCode = 1;
+  } finally {
+    gemini.restore();
+  }
+}
+
+testModelSelection();
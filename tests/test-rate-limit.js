@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const databaseService = require('../src/services/database');
+const cache = require('../src/utils/cache');
+const auth = require('../src/middleware/auth');
+const { hitSlidingWindow } = require('../src/utils/rateLimiter');
+
+// Cache backend with only async get/set, like a remote cache client
+function createAsyncStore() {
+  const values = new Map();
+  return {
+    values,
+    async get(key) {
+      return values.has(key) ? JSON.parse(values.get(key)) : null;
+    },
+    async set(key, value) {
+      values.set(key, JSON.stringify(value));
+    }
+  };
+}
+
+// Minimal Telegraf context for authenticate
+function createContext(chatId) {
+  const replies = [];
+  return {
+    replies,
+    chat: { id: chatId },
+    from: { id: chatId, username: `limited_${chatId}` },
+    reply: async (text) => replies.push(text),
+    replyWithMarkdown: async (text) => replies.push(text),
+    answerCbQuery: async (text) => replies.push(text)
+  };
+}
+
+async function testRateLimit() {
+  console.log('🧪 Testing per-minute rate limiting...\n');
+
+  try {
+    await databaseService.initialize();
+
+    console.log('TEST 1: The window slides instead of resetting every minute');
+    const store = createAsyncStore();
+    const hit = (now) => hitSlidingWindow(store, 'rate_limit:test', 3, 60000, now);
+    assert.deepStrictEqual(await hit(0), { allowed: true, remaining: 2, retryAfterMs: 0 });
+    await hit(10000);
+    await hit(50000);
+    assert.deepStrictEqual(await hit(55000), { allowed: false, remaining: 0, retryAfterMs: 5000 });
+    assert.strictEqual((await hit(60001)).allowed, true, 'the first request has left the window');
+    assert.deepStrictEqual(await hit(65000), { allowed: false, remaining: 0, retryAfterMs: 5000 });
+    assert.strictEqual(JSON.parse(store.values.get('rate_limit:test')).length, 3, 'refused requests are not recorded');
+    console.log('✅ Sliding window works with an async backend\n');
+
+    console.log('TEST 2: authenticate applies the tier limit and asks the user to slow down');
+    const user = await databaseService.createUser({ telegramChatId: 1301, name: 'Limited', tier: 'FREE' });
+    const limit = auth.getTierConfig(user).requestsPerMinute;
+    for (let i = 0; i < limit; i++) {
+      assert.ok(await auth.authenticate(createContext(1301)), `request ${i + 1} is allowed`);
+    }
+    const ctx = createContext(1301);
+    assert.strictEqual(await auth.authenticate(ctx), null);
+    assert.match(ctx.replies[0], /slow down/i);
+    assert.match(ctx.replies[0], /retry in \d+ seconds/);
+    assert.strictEqual((await databaseService.findUserByTelegramId(1301)).message_count, limit, 'refused messages use no quota');
+
+    await cache.clearUserData(user.id);
+    assert.strictEqual(await auth.authenticate(createContext(1301)), null, 'clearing the user cache keeps the window');
+    console.log('✅ Limited after the tier allowance\n');
+
+    console.log('TEST 3: Higher tiers allow more requests');
+    assert.ok(auth.getTierConfig({ tier: 'PRO' }).requestsPerMinute > auth.getTierConfig({ tier: 'BASIC' }).requestsPerMinute);
+    assert.ok(auth.getTierConfig({ tier: 'BASIC' }).requestsPerMinute > limit);
+    const pro = await databaseService.createUser({ telegramChatId: 1302, name: 'Pro', tier: 'PRO' });
+    for (let i = 0; i <= limit; i++) {
+      assert.ok(await auth.authenticate(createContext(1302)));
+    }
+    assert.strictEqual(await cache.isRateLimited(pro.id, limit), true);
+    console.log('✅ Per-tier limits applied\n');
+
+    console.log('TEST 4: Button taps need an active account but use no allowance');
+    const tapper = await databaseService.createUser({ telegramChatId: 1303, name: 'Tapper', tier: 'FREE' });
+    for (let i = 0; i <= limit; i++) {
+      assert.strictEqual((await auth.authenticateAction(createContext(1303))).id, tapper.id);
+    }
+    assert.strictEqual((await databaseService.findUserByTelegramId(1303)).message_count, 0, 'taps use no quota');
+    assert.ok(await auth.authenticate(createContext(1303)), 'taps leave the rate limit window alone');
+
+    const unknownTap = createContext(1399);
+    assert.strictEqual(await auth.authenticateAction(unknownTap), null);
+    assert.match(unknownTap.replies[0], /\/start/);
+    assert.strictEqual(await databaseService.findUserByTelegramId(1399), null, 'taps never create accounts');
+
+    await databaseService.updateUser(tapper.id, { is_active: false });
+    const inactiveTap = createContext(1303);
+    assert.strictEqual(await auth.authenticateAction(inactiveTap), null);
+    assert.match(inactiveTap.replies[0], /deactivated/);
+    console.log('✅ Unknown and deactivated accounts refused\n');
+
+    console.log('🎉 ALL RATE LIMIT TESTS PASSED!');
+  } catch (error) {
+    console.error('❌ TEST FAILED:', error.message);
+    console.error(error);
+    process.exitCode = 1;
+  }
+}
+
+testRateLimit();
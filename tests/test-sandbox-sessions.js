@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { startStubE2BServer } = require('./stub-e2b-server');
+const { createHttpTransport } = require('../src/services/e2bTransport');
+const e2b = require('../src/services/e2b');
+const sandboxSessions = require('../src/services/sandboxSessions');
+const cleanupService = require('../src/jobs/cleanup-demo');
+
+async function testSandboxSessions() {
+  console.log('🧪 Testing per-conversation sandbox sessions...\n');
+
+  const stub = await startStubE2BServer();
+  e2b.setTransport(createHttpTransport({ apiBase: stub.url, envdUrl: stub.envdUrl }));
+
+  try {
+    console.log('TEST 1: Files persist across messages in the same thread');
+    const first = await sandboxSessions.acquire('telegram_1', 'e2b_user_key');
+    await e2b.executeOperations([{ type: 'write_file', path: 'notes.txt', content: 'kept' }], 'e2b_user_key', { sandboxId: first });
+    sandboxSessions.release('telegram_1', first);
+    const second = await sandboxSessions.acquire('telegram_1', 'e2b_user_key');
+    assert.strictEqual(second, first);
+    const [read] = await e2b.executeOperations([{ type: 'read_file', path: 'notes.txt' }], 'e2b_user_key', { sandboxId: second });
+    assert.strictEqual(read.content, 'kept');
+    sandboxSessions.release('telegram_1', second);
+    assert.strictEqual(stub.sandboxes.get(first).metadata.threadId, 'telegram_1');
+    console.log('✅ Sandbox reused\n');
+
+    console.log('TEST 2: Concurrent acquires share one sandbox');
+    const [a, b] = await Promise.all([
+      sandboxSessions.acquire('telegram_2', 'e2b_user_key'),
+      sandboxSessions.acquire('telegram_2', 'e2b_user_key')
+    ]);
+    assert.strictEqual(a, b);
+    assert.strictEqual(sandboxSessions.getSession('telegram_2').inUse, 2, 'each caller holds the sandbox');
+    sandboxSessions.release('telegram_2', a);
+    sandboxSessions.release('telegram_2', b);
+    console.log('✅ Single sandbox created\n');
+
+    console.log('TEST 3: Idle sessions are reaped');
+    sandboxSessions.getSession('telegram_2').lastUsedAt -= sandboxSessions.idleTimeoutMs + 1;
+    assert.strictEqual(await sandboxSessions.reapExpired(), 1);
+    assert.strictEqual(stub.sandboxes.has(a), false);
+    assert.strictEqual(sandboxSessions.getSession('telegram_2'), null);
+    console.log('✅ Idle sandbox destroyed\n');
+
+    console.log('TEST 4: Sessions past their maximum lifetime are replaced');
+    sandboxSessions.getSession('telegram_1').createdAt -= sandboxSessions.maxLifetimeMs + 1;
+    const replaced = await sandboxSessions.acquire('telegram_1', 'e2b_user_key');
+    assert.notStrictEqual(replaced, first);
+    assert.strictEqual(stub.sandboxes.has(first), false);
+    sandboxSessions.release('telegram_1', replaced);
+    console.log('✅ Old sandbox replaced\n');
+
+    console.log('TEST 5: A sandbox killed remotely is recreated');
+    await e2b.deleteSandbox(replaced);
+    const recreated = await sandboxSessions.acquire('telegram_1', 'e2b_user_key');
+    assert.notStrictEqual(recreated, replaced);
+    sandboxSessions.release('telegram_1', recreated);
+    console.log('✅ Dead sandbox recreated\n');
+
+    console.log('TEST 6: Orphaned sandboxes are reaped, untagged ones are left alone');
+    const tag = (threadId, instance = sandboxSessions.instanceId) => ({ metadata: { app: 'codebot', instance, threadId } });
+    const age = (sandboxId) => { stub.sandboxes.get(sandboxId).startedAt = new Date(Date.now() - 60 * 60 * 1000).toISOString(); };
+    const orphan = await e2b.createSandbox('e2b_user_key', tag('telegram_9'));
+    const young = await e2b.createSandbox('e2b_user_key', tag('telegram_10'));
+    const otherDeployment = await e2b.createSandbox('e2b_user_key', tag('telegram_11', 'another-deployment'));
+    const foreign = await e2b.createSandbox('e2b_user_key');
+    [orphan, otherDeployment, foreign].forEach(age);
+    assert.strictEqual(await sandboxSessions.reapOrphaned(), 1);
+    assert.strictEqual(stub.sandboxes.has(orphan), false);
+    assert.strictEqual(stub.sandboxes.has(young), true, 'sandboxes within the grace period are kept');
+    assert.strictEqual(stub.sandboxes.has(otherDeployment), true, 'other deployments are left alone');
+    assert.strictEqual(stub.sandboxes.has(foreign), true);
+    assert.strictEqual(stub.sandboxes.has(recreated), true);
+    for (const sandboxId of [young, otherDeployment, foreign]) {
+      await e2b.deleteSandbox(sandboxId);
+    }
+    console.log('✅ Only orphans reaped\n');
+
+    console.log('TEST 7: A sandbox being acquired during a reap is kept');
+    sandboxSessions.orphanGracePeriodMs = -1;
+    try {
+      const [acquired] = await Promise.all([
+        sandboxSessions.acquire('telegram_8', 'e2b_user_key'),
+        sandboxSessions.reapOrphaned()
+      ]);
+      assert.strictEqual(await sandboxSessions.reapOrphaned(), 0);
+      assert.strictEqual(stub.sandboxes.has(acquired), true);
+      assert.strictEqual(sandboxSessions.getSession('telegram_8').sandboxId, acquired);
+      sandboxSessions.release('telegram_8', acquired);
+    } finally {
+      sandboxSessions.orphanGracePeriodMs = 5 * 60 * 1000;
+    }
+    await sandboxSessions.destroy('telegram_8');
+    console.log('✅ In-progress acquisition not reaped\n');
+
+    console.log('TEST 8: Sessions in use are not reaped or replaced');
+    const busy = await sandboxSessions.acquire('telegram_3', 'e2b_user_key');
+    sandboxSessions.getSession('telegram_3').lastUsedAt -= sandboxSessions.idleTimeoutMs + 1;
+    assert.strictEqual(await sandboxSessions.reapExpired(), 0);
+    assert.strictEqual(stub.sandboxes.has(busy), true);
+    const shared = await sandboxSessions.acquire('telegram_3', 'e2b_user_key');
+    assert.strictEqual(shared, busy, 'an expired session in use is kept alive for the next caller');
+    sandboxSessions.release('telegram_3', shared);
+    sandboxSessions.release('telegram_3', busy);
+    assert.strictEqual(sandboxSessions.getSession('telegram_3').inUse, 0);
+    assert.strictEqual(await sandboxSessions.reapExpired(), 0, 'release counts as use for the idle timeout');
+    sandboxSessions.getSession('telegram_3').lastUsedAt -= sandboxSessions.idleTimeoutMs + 1;
+    assert.strictEqual(await sandboxSessions.reapExpired(), 1);
+    assert.strictEqual(stub.sandboxes.has(busy), false);
+
+    const held = await sandboxSessions.acquire('telegram_3', 'e2b_user_key');
+    await sandboxSessions.destroy('telegram_3');
+    const fresh = await sandboxSessions.acquire('telegram_3', 'e2b_user_key');
+    sandboxSessions.release('telegram_3', held);
+    assert.strictEqual(sandboxSessions.getSession('telegram_3').inUse, 1, 'releasing a replaced sandbox leaves the new one held');
+    sandboxSessions.release('telegram_3', fresh);
+    await sandboxSessions.destroy('telegram_3');
+    console.log('✅ In-use sessions kept until released\n');
+
+    console.log('TEST 9: Sandbox cleanup runs do not overlap');
+    let runs = 0;
+    let finishRun;
+    const reapExpired = sandboxSessions.reapExpired;
+    sandboxSessions.reapExpired = () => {
+      runs++;
+      return new Promise(resolve => { finishRun = resolve; });
+    };
+    try {
+      const firstRun = cleanupService.reapSandboxes();
+      await cleanupService.reapSandboxes();
+      assert.strictEqual(runs, 1, 'a run started while another is in progress is skipped');
+      finishRun(0);
+      await firstRun;
+      const nextRun = cleanupService.reapSandboxes();
+      finishRun(0);
+      await nextRun;
+      assert.strictEqual(runs, 2);
+    } finally {
+      sandboxSessions.reapExpired = reapExpired;
+    }
+    console.log('✅ Overlapping run skipped\n');
+
+    console.log('TEST 10: Explicit teardown');
+    assert.strictEqual(await sandboxSessions.destroy('telegram_1'), true);
+    assert.strictEqual(await sandboxSessions.destroy('telegram_1'), false);
+    assert.strictEqual(stub.sandboxes.size, 0);
+    console.log('✅ Sandbox destroyed\n');
+
+    console.log('🎉 ALL SANDBOX SESSION TESTS PASSED!');
+  } catch (error) {
+    console.error('❌ TEST FAILED:', error.message);
+    console.error(error);
+    process.exitCode = 1;
+  } finally {
+    await sandboxSessions.destroyAll();
+    await stub.close();
+  }
+}
+
+testSandboxSessions();
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const databaseService = require('../src/services/database');
+const { sessionMiddleware, createSessionStore, createServiceSessionStore } = require('../src/middleware/session');
+
+let updateId = 0;
+
+/**
+ * Run one fake update for a chat through the middleware
+ */
+async function runUpdate(middleware, chatId, handler) {
+  const ctx = { update: { update_id: ++updateId }, chat: { id: chatId }, from: { id: chatId } };
+  await middleware(ctx, async () => handler(ctx));
+  return ctx;
+}
+
+/**
+ * Minimal in-memory stand-in for the Prisma session delegate
+ */
+function createFakePrisma() {
+  const rows = new Map();
+  return {
+    rows,
+    session: {
+      findUnique: async ({ where }) => rows.get(where.key) || null,
+      upsert: async ({ where, create, update }) => rows.set(where.key, { ...(rows.get(where.key) || create), ...update }),
+      deleteMany: async ({ where }) => ({ count: rows.delete(where.key) ? 1 : 0 })
+    }
+  };
+}
+
+async function testSessions() {
+  console.log('🧪 Testing persistent bot sessions...\n');
+
+  try {
+    await databaseService.initialize();
+
+    console.log('TEST 1: Session state survives a new middleware instance (restart)');
+    await runUpdate(sessionMiddleware(), 996, ctx => {
+      ctx.session = { pendingAction: 'revoke' };
+    });
+    await runUpdate(sessionMiddleware(), 996, ctx => {
+      assert.deepStrictEqual(ctx.session, { pendingAction: 'revoke' });
+      ctx.session = null;
+    });
+    assert.strictEqual(await databaseService.getSession('telegram_996'), null);
+    console.log('✅ Session stored, reloaded and deleted\n');
+
+    console.log('TEST 2: Expired sessions are ignored and cleaned up');
+    const shortLived = sessionMiddleware(createServiceSessionStore(databaseService, -1000));
+    await runUpdate(shortLived, 997, ctx => {
+      ctx.session = { step: 1 };
+    });
+    await runUpdate(sessionMiddleware(), 997, ctx => {
+      assert.strictEqual(ctx.session, undefined);
+    });
+    await databaseService.setSession('telegram_998', { step: 2 }, new Date(Date.now() - 1));
+    assert.ok(await databaseService.deleteExpiredSessions() >= 1);
+    assert.strictEqual(databaseService.sessions.has('telegram_998'), false);
+    console.log('✅ Expiry respected\n');
+
+    console.log('TEST 3: Prisma-backed services use the sessions table');
+    const prisma = createFakePrisma();
+    const prismaMiddleware = sessionMiddleware(createSessionStore({ prisma }));
+    await runUpdate(prismaMiddleware, 999, ctx => {
+      ctx.session = { wizard: 'setkeys' };
+    });
+    assert.deepStrictEqual(prisma.rows.get('telegram_999').data, { wizard: 'setkeys' });
+    await runUpdate(prismaMiddleware, 999, ctx => {
+      assert.strictEqual(ctx.session.wizard, 'setkeys');
+    });
+    console.log('✅ Prisma store works\n');
+
+    console.log('TEST 4: A failing store does not break update handling');
+    const broken = { get: async () => { throw new Error('db down'); }, set: async () => { throw new Error('db down'); }, delete: async () => {} };
+    let handled = false;
+    await runUpdate(sessionMiddleware(broken), 1000, ctx => {
+      ctx.session = { step: 1 };
+      handled = true;
+    });
+    assert.ok(handled);
+    console.log('✅ Update handled without a session\n');
+
+    console.log('🎉 ALL SESSION TESTS PASSED!');
+  } catch (error) {
+    console.error('❌ TEST FAILED:', error.message);
+    console.error(error);
+    process.exitCode = 1;
+  }
+}
+
+testSessions();
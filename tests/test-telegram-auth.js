@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const config = require('../src/config/env');
+const databaseService = require('../src/services/database');
+const { hasPersonalKeys } = require('../src/services/apiKeys');
+const { verifyWebAppInitData, verifyLoginWidgetData, telegramAuth } = require('../src/middleware/telegramAuth');
+const keysRouter = require('../src/routes/keys');
+
+const BOT_TOKEN = config.TELEGRAM_BOT_TOKEN;
+const MAX_AGE = { maxAgeSeconds: 3600 };
+
+const dataCheckString = (fields) => Object.keys(fields).sort().map(key => `${key}=${fields[key]}`).join('\n');
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+// Sign like Telegram does for Mini Apps
+function signInitData(user, authDate = nowSeconds(), botToken = BOT_TOKEN) {
+  const fields = { auth_date: String(authDate), query_id: 'AAHdF6IQAAAAAN0XohDhrOrc', user: JSON.stringify(user) };
+  const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+  const hash = crypto.createHmac('sha256', secretKey).update(dataCheckString(fields)).digest('hex');
+  return new URLSearchParams({ ...fields, hash }).toString();
+}
+
+// Sign like the Login Widget does
+function signLoginData(user, authDate = nowSeconds(), botToken = BOT_TOKEN) {
+  const fields = { ...user, auth_date: String(authDate) };
+  const secretKey = crypto.createHash('sha256').update(botToken).digest();
+  return { ...fields, hash: crypto.createHmac('sha256', secretKey).update(dataCheckString(fields)).digest('hex') };
+}
+
+/**
+ * Serve the keys router and a route reporting req.user on a free local port
+ */
+function startApi() {
+  const app = express();
+  app.use(express.json());
+  app.locals.databaseService = databaseService;
+  app.get('/me', telegramAuth(), (req, res) => res.json({ telegramId: req.telegramUser.id, userId: req.user ? req.user.id : null }));
+  app.use('/api/keys', keysRouter);
+
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+async function testTelegramAuth() {
+  console.log('🧪 Testing Telegram WebApp and Login Widget authentication...\n');
+
+  const api = await startApi();
+
+  try {
+    await databaseService.initialize();
+
+    console.log('TEST 1: WebApp initData is checked against the bot token and freshness window');
+    const telegramUser = { id: 1201, first_name: 'Web', username: 'web_user' };
+    assert.deepStrictEqual(verifyWebAppInitData(signInitData(telegramUser), BOT_TOKEN, MAX_AGE), telegramUser);
+    assert.strictEqual(verifyWebAppInitData(signInitData(telegramUser, nowSeconds(), 'another:token'), BOT_TOKEN, MAX_AGE), null);
+    assert.strictEqual(verifyWebAppInitData(signInitData(telegramUser, nowSeconds() - 7200), BOT_TOKEN, MAX_AGE), null);
+    const tampered = signInitData(telegramUser).replace('1201', '1202');
+    assert.strictEqual(verifyWebAppInitData(tampered, BOT_TOKEN, MAX_AGE), null);
+    assert.strictEqual(verifyWebAppInitData('user=%7B%7D', BOT_TOKEN, MAX_AGE), null);
+    console.log('✅ Valid initData accepted, forged, tampered and stale data refused\n');
+
+    console.log('TEST 2: Login Widget data is checked the same way');
+    const login = signLoginData({ id: '1202', first_name: 'Widget' });
+    assert.deepStrictEqual(verifyLoginWidgetData(login, BOT_TOKEN, MAX_AGE), { id: 1202, first_name: 'Widget' });
+    assert.strictEqual(verifyLoginWidgetData({ ...login, id: '1203' }, BOT_TOKEN, MAX_AGE), null);
+    assert.strictEqual(verifyLoginWidgetData(signLoginData({ id: '1202' }, nowSeconds() + 3600), BOT_TOKEN, MAX_AGE), null);
+    console.log('✅ Widget hashes verified\n');
+
+    console.log('TEST 3: The middleware attaches the stored user');
+    const user = await databaseService.createUser({ telegramChatId: 1201, name: 'Web', tier: 'FREE' });
+    const me = await axios.get(`${api.url}/me`, { headers: { Authorization: `tma ${signInitData(telegramUser)}` } });
+    assert.deepStrictEqual(me.data, { telegramId: 1201, userId: user.id });
+    const unknown = await axios.get(`${api.url}/me`, { params: signLoginData({ id: '1299' }) });
+    assert.deepStrictEqual(unknown.data, { telegramId: 1299, userId: null });
+    assert.strictEqual((await axios.get(`${api.url}/me`, { validateStatus: () => true })).status, 401);
+    const forged = await axios.get(`${api.url}/me`, {
+      headers: { Authorization: `tma ${signInitData(telegramUser, nowSeconds(), 'another:token')}` },
+      validateStatus: () => true
+    });
+    assert.strictEqual(forged.status, 401);
+    console.log('✅ req.user resolved, missing and forged auth refused\n');
+
+    console.log('TEST 4: Signed-in requests to /api/keys act on the signed-in user');
+    await databaseService.updateUserApiKeys(user.id, `AIza${'w'.repeat(35)}`, `e2b_${'w'.repeat(41)}`);
+    const status = await axios.get(`${api.url}/api/keys/status`, { headers: { Authorization: `tma ${signInitData(telegramUser)}` } });
+    assert.strictEqual(status.data.has_keys, true);
+
+    const spoofed = await axios.delete(`${api.url}/api/keys/revoke`, {
+      data: { telegram_chat_id: 1201, telegram_login: { ...signLoginData({ id: '1202' }), id: '1201' } },
+      validateStatus: () => true
+    });
+    assert.strictEqual(spoofed.status, 401);
+    assert.ok(hasPersonalKeys(await databaseService.findUserByTelegramId(1201)));
+
+    const revoked = await axios.delete(`${api.url}/api/keys/revoke`, {
+      data: { telegram_chat_id: 9999, init_data: signInitData(telegramUser) }
+    });
+    assert.strictEqual(revoked.data.tier, 'FREE');
+    assert.ok(!hasPersonalKeys(await databaseService.findUserByTelegramId(1201)));
+    console.log('✅ Body telegram_chat_id ignored, no access code needed\n');
+
+    console.log('🎉 ALL TELEGRAM AUTH TESTS PASSED!');
+  } catch (error) {
+    console.error('❌ TEST FAILED:', error.message);
+    console.error(error);
+    process.exitCode = 1;
+  } finally {
+    await api.close();
+  }
+}
+
+testTelegramAuth();
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { createProgressReporter, describeOperation } = require('../src/services/telegramProgress');
+
+/**
+ * Minimal Telegraf context that records the messages sent and edited
+ */
+function createFakeContext() {
+  const messages = new Map();
+  let nextId = 1;
+
+  return {
+    messages,
+    chat: { id: 42 },
+    reply: async (text) => {
+      const message = { message_id: nextId++, text };
+      messages.set(message.message_id, message);
+      return message;
+    },
+    telegram: {
+      editMessageText: async (chatId, messageId, inlineId, text) => {
+        messages.get(messageId).text = text;
+      },
+      deleteMessage: async (chatId, messageId) => {
+        messages.delete(messageId);
+      }
+    }
+  };
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testTelegramProgress() {
+  console.log('🧪 Testing Telegram progress updates...\n');
+
+  try {
+    console.log('TEST 1: Operations are described briefly');
+    assert.strictEqual(describeOperation({ type: 'terminal_command', command: 'pip install\n  requests' }), 'terminal_command: pip install requests');
+    assert.strictEqual(describeOperation({ type: 'write_file', path: 'app.py', content: 'x' }), 'write_file: app.py');
+    assert.ok(describeOperation({ type: 'terminal_command', command: 'x'.repeat(200) }).length < 90);
+    console.log('✅ Descriptions short\n');
+
+    console.log('TEST 2: The status message is edited as operations start and finish');
+    const ctx = createFakeContext();
+    const progress = createProgressReporter(ctx, { minEditIntervalMs: 0 });
+    await progress.start();
+    assert.strictEqual(ctx.messages.get(1).text, '⏳ Working on it...');
+
+    const write = { type: 'write_file', path: 'app.py' };
+    const run = { type: 'terminal_command', command: 'python3 app.py' };
+    progress.onProgress({ type: 'operation_start', index: 0, total: 2, iteration: 1, operation: write });
+    progress.onProgress({ type: 'operation_end', index: 0, total: 2, iteration: 1, operation: write, result: { success: true } });
+    progress.onProgress({ type: 'operation_start', index: 1, total: 2, iteration: 1, operation: run });
+    await wait(20);
+    assert.strictEqual(ctx.messages.get(1).text, '⏳ Working on it...\n\n✅ write_file: app.py\n⏳ terminal_command: python3 app.py');
+
+    progress.onProgress({ type: 'operation_end', index: 1, total: 2, iteration: 1, operation: run, result: { success: false } });
+    await wait(20);
+    assert.ok(ctx.messages.get(1).text.endsWith('❌ terminal_command: python3 app.py'));
+    console.log('✅ Steps marked in place\n');
+
+    console.log('TEST 3: The final answer replaces the status message');
+    await progress.finish('All done.');
+    assert.strictEqual(ctx.messages.size, 1);
+    assert.strictEqual(ctx.messages.get(1).text, 'All done.');
+    console.log('✅ Status replaced\n');
+
+    console.log('TEST 4: Long answers continue in new messages and edits are throttled');
+    const slowCtx = createFakeContext();
+    let edits = 0;
+    const edit = slowCtx.telegram.editMessageText;
+    slowCtx.telegram.editMessageText = async (...args) => {
+      edits++;
+      return edit(...args);
+    };
+    const throttled = createProgressReporter(slowCtx, { minEditIntervalMs: 10000 });
+    await throttled.start();
+    for (let index = 0; index < 5; index++) {
+      throttled.onProgress({ type: 'operation_start', index, total: 5, iteration: 1, operation: run });
+    }
+    await throttled.finish('a'.repeat(4000) + 'b'.repeat(100));
+    assert.strictEqual(edits, 1); // only the final replacement
+    assert.strictEqual(slowCtx.messages.size, 2);
+    assert.strictEqual(slowCtx.messages.get(1).text, 'a'.repeat(4000));
+    assert.strictEqual(slowCtx.messages.get(2).text, 'b'.repeat(100));
+    console.log('✅ Throttled and split\n');
+
+    console.log('TEST 5: Streamed text is shown below the steps');
+    const streamCtx = createFakeContext();
+    const streaming = createProgressReporter(streamCtx, { minEditIntervalMs: 0 });
+    await streaming.start();
+    streaming.onProgress({ type: 'operation_start', index: 0, total: 1, iteration: 1, operation: write });
+    streaming.onProgress({ type: 'operation_end', index: 0, total: 1, iteration: 1, operation: write, result: { success: true } });
+    streaming.onText('The file');
+    streaming.onText('The file is ready');
+    await wait(20);
+    assert.strictEqual(streamCtx.messages.get(1).text, '⏳ Working on it...\n\n✅ write_file: app.py\n\nThe file is ready');
+    await streaming.finish('The file is ready.');
+    assert.strictEqual(streamCtx.messages.get(1).text, 'The file is ready.');
+    console.log('✅ Partial text shown\n');
+
+    console.log('🎉 ALL TELEGRAM PROGRESS TESTS PASSED!');
+  } catch (error) {
+    console.error('❌ TEST FAILED:', error.message);
+    console.error(error);
+    process.exitCode = 1;
+  }
+}
+
+testTelegramProgress();
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const config = require('../src/config/env');
+const { installStubGemini } = require('./stub-gemini');
+const { transcribeAudio, registerProvider, getProvider, createStubProvider } = require('../src/services/transcription');
+
+async function testTranscription() {
+  console.log('🧪 Testing voice transcription providers...\n');
+
+  try {
+    console.log('TEST 1: The stub provider returns its fixed transcript');
+    config.TRANSCRIPTION_PROVIDER = 'stub';
+    const stubbed = await transcribeAudio({ audio: Buffer.from('OggS') });
+    assert.strictEqual(stubbed.provider, 'stub');
+    assert.strictEqual(stubbed.text, 'Write a Python script that prints hello world');
+    assert.strictEqual(stubbed.tokensUsed, null);
+    console.log('✅ Stub transcript returned\n');
+
+    console.log('TEST 2: Registered providers receive the audio and key');
+    const calls = [];
+    registerProvider({
+      name: 'recording',
+      async transcribe(params) {
+        calls.push(params);
+        return { text: '  fix the failing test  \n', tokensUsed: 42 };
+      }
+    });
+    config.TRANSCRIPTION_PROVIDER = 'recording';
+    const recorded = await transcribeAudio({ audio: Buffer.from('voice'), mimeType: 'audio/ogg', apiKey: 'AIza_user_key' });
+    assert.strictEqual(recorded.text, 'fix the failing test');
+    assert.strictEqual(recorded.tokensUsed, 42);
+    assert.strictEqual(calls[0].apiKey, 'AIza_user_key');
+    assert.strictEqual(calls[0].mimeType, 'audio/ogg');
+    assert.strictEqual(calls[0].audio.toString(), 'voice');
+    console.log('✅ Provider called with the voice note\n');
+
+    console.log('TEST 3: Stub providers can be replaced with a custom transcript');
+    registerProvider(createStubProvider('list the files'));
+    config.TRANSCRIPTION_PROVIDER = 'stub';
+    assert.strictEqual((await transcribeAudio({ audio: Buffer.alloc(1) })).text, 'list the files');
+    console.log('✅ Custom stub used\n');
+
+    console.log('TEST 4: Unknown providers are rejected');
+    assert.throws(() => getProvider('whisper-local'), /Unknown transcription provider/);
+    console.log('✅ Unknown provider rejected\n');
+
+    console.log('TEST 5: Gemini reports silence with a marker that becomes an empty transcript');
+    config.TRANSCRIPTION_PROVIDER = 'gemini';
+    const replies = ['[no speech]', 'run the tests'];
+    const gemini = installStubGemini((body, index) => [{ text: replies[index] }]);
+    try {
+      const silent = await transcribeAudio({ audio: Buffer.from('OggS'), apiKey: 'AIza_user_key' });
+      assert.strictEqual(silent.text, '');
+      assert.strictEqual(gemini.requests.length, 1, 'no retries for silence');
+      assert.ok(JSON.stringify(gemini.requests[0]).includes('[no speech]'));
+      assert.strictEqual((await transcribeAudio({ audio: Buffer.from('OggS'), apiKey: 'AIza_user_key' })).text, 'run the tests');
+    } finally {
+      gemini.restore();
+    }
+    console.log('✅ Silence mapped to an empty transcript\n');
+
+    console.log('🎉 ALL TRANSCRIPTION TESTS PASSED!');
+  } catch (error) {
+    console.error('❌ TEST FAILED:', error.message);
+    console.error(error);
+    process.exitCode = 1;
+  }
+}
+
+testTranscription();
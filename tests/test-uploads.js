@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { startStubE2BServer } = require('./stub-e2b-server');
+const { createHttpTransport } = require('../src/services/e2bTransport');
+const e2b = require('../src/services/e2b');
+const sandboxSessions = require('../src/services/sandboxSessions');
+const databaseService = require('../src/services/database');
+const { saveUploadToSandbox, sanitizeFileName } = require('../src/services/uploads');
+
+async function testUploads() {
+  console.log('🧪 Testing document uploads into the sandbox...\n');
+
+  const stub = await startStubE2BServer();
+  e2b.setTransport(createHttpTransport({ apiBase: stub.url, envdUrl: stub.envdUrl }));
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-test-'));
+
+  try {
+    await databaseService.initialize();
+    const user = await databaseService.createUser({ telegramChatId: 555, name: 'Uploader', tier: 'FREE' });
+
+    console.log('TEST 1: File names are sanitized');
+    assert.strictEqual(sanitizeFileName('../../etc/passwd'), 'passwd');
+    assert.strictEqual(sanitizeFileName('my app (1).py'), 'my_app__1_.py');
+    assert.strictEqual(sanitizeFileName('C:\\Users\\me\\data.csv'), 'data.csv');
+    console.log('✅ Names sanitized\n');
+
+    console.log('TEST 2: Source file saved to the working directory');
+    const upload = await saveUploadToSandbox({
+      user,
+      chatId: 555,
+      fileName: 'app.py',
+      data: Buffer.from('print(1/0)\n'),
+      e2bApiKey: 'e2b_user_key'
+    });
+    assert.strictEqual(upload.path, '/home/user/app.py');
+    assert.strictEqual(upload.extractedTo, null);
+    const sandboxId = sandboxSessions.getSession('telegram_555').sandboxId;
+    const run = await e2b.executeTerminalCommand(sandboxId, 'cat app.py');
+    assert.strictEqual(run.stdout, 'print(1/0)\n');
+    console.log('✅ File available to later commands\n');
+
+    console.log('TEST 3: Upload registered in the conversation');
+    const conversation = await databaseService.getConversation('telegram_555');
+    const [message] = await databaseService.getRecentMessages(conversation.id);
+    assert.strictEqual(message.role, 'SYSTEM');
+    assert.ok(message.content.includes('/home/user/app.py'));
+    console.log('✅ SYSTEM message saved\n');
+
+    console.log('TEST 4: Tar archives are extracted');
+    fs.mkdirSync(path.join(workDir, 'src'));
+    fs.writeFileSync(path.join(workDir, 'src', 'main.js'), 'console.log(1)');
+    fs.writeFileSync(path.join(workDir, 'README.md'), '# hi');
+    execFileSync('tar', ['-czf', path.join(workDir, 'project.tar.gz'), '-C', workDir, 'src', 'README.md']);
+    const archive = await saveUploadToSandbox({
+      user,
+      chatId: 555,
+      fileName: 'project.tar.gz',
+      data: fs.readFileSync(path.join(workDir, 'project.tar.gz')),
+      e2bApiKey: 'e2b_user_key'
+    });
+    assert.strictEqual(archive.extractedTo, '/home/user/project');
+    assert.deepStrictEqual(archive.extractedFiles.sort(), ['/home/user/project/README.md', '/home/user/project/src/main.js']);
+    assert.ok(archive.note.includes('2 files'));
+    console.log('✅ Archive extracted\n');
+
+    console.log('🎉 ALL UPLOAD TESTS PASSED!');
+  } catch (error) {
+    console.error('❌ TEST FAILED:', error.message);
+    console.error(error);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+    await sandboxSessions.destroyAll();
+    await stub.close();
+  }
+}
+
+testUploads();
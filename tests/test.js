@@ -77,6 +77,17 @@ const services = [
   { name: 'telegram.js', path: '../src/services/telegram' },
   { name: 'gemini.js', path: '../src/services/gemini' },
   { name: 'e2b.js', path: '../src/services/e2b' },
+  { name: 'e2bTransport.js', path: '../src/services/e2bTransport' },
+  { name: 'sandboxSessions.js', path: '../src/services/sandboxSessions' },
+  { name: 'uploads.js', path: '../src/services/uploads' },
+  { name: 'transcription.js', path: '../src/services/transcription' },
+  { name: 'telegramProgress.js', path: '../src/services/telegramProgress' },
+  { name: 'providers/index.js', path: '../src/services/providers' },
+  { name: 'generationSettings.js', path: '../src/services/generationSettings' },
+  { name: 'apiKeys.js', path: '../src/services/apiKeys' },
+  { name: 'keyVerification.js', path: '../src/services/keyVerification' },
+  { name: 'keySetupWizard.js', path: '../src/services/keySetupWizard' },
+  { name: 'keyAccessCodes.js', path: '../src/services/keyAccessCodes' },
   { name: 'messageProcessor.js', path: '../src/services/messageProcessor' }
 ];
 